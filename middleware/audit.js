@@ -0,0 +1,55 @@
+/**
+ * Describe who made a request, for audit entries
+ */
+function getActor(req) {
+  return {
+    id: req.user?.id || "anonymous",
+    role: req.user?.role,
+    method: req.user?.method,
+    ip: req.ip,
+  };
+}
+
+/**
+ * Pick the fields of a response body worth keeping in the audit trail
+ */
+function summarizeResult(body = {}) {
+  const summary = {};
+  ["success", "message", "recordsFetched", "recordsAdded", "duration"].forEach(
+    (key) => {
+      if (body[key] !== undefined) {
+        summary[key] = body[key];
+      }
+    }
+  );
+  return summary;
+}
+
+/**
+ * Build route middleware that records an audit entry once the response
+ * has been sent: audit("sync.run")
+ */
+function createAuditMiddleware(auditLog) {
+  return (action) => (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      auditLog.record({
+        action,
+        actor: getActor(req),
+        route: req.originalUrl,
+        method: req.method,
+        params: { ...req.query, ...(req.body || {}) },
+        result: { statusCode: res.statusCode, ...summarizeResult(body) },
+      });
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  getActor,
+  createAuditMiddleware,
+};
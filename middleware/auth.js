@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+/**
+ * Roles in increasing order of privilege. A role grants everything the
+ * roles before it grant.
+ */
+const ROLES = ["viewer", "operator"];
+
+/**
+ * Parse API_KEYS ("name:key:role,name:key:role") into key entries
+ */
+function parseApiKeys(value = "") {
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry)
+    .map((entry) => {
+      const [name, key, role = "viewer"] = entry.split(":");
+      if (!name || !key) {
+        throw new Error(`Invalid API_KEYS entry "${entry}"`);
+      }
+      if (!ROLES.includes(role)) {
+        throw new Error(`Invalid role "${role}" for API key ${name}`);
+      }
+      return { name, key, role };
+    });
+}
+
+const config = {
+  disabled: process.env.AUTH_DISABLED === "true",
+  apiKeys: parseApiKeys(process.env.API_KEYS),
+  jwtSecret: process.env.JWT_SECRET || null,
+};
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash("sha256").update(a).digest();
+  const hashB = crypto.createHash("sha256").update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function findApiKey(key) {
+  const match = config.apiKeys.find((entry) => safeEqual(entry.key, key));
+  return match ? { id: match.name, role: match.role, method: "api_key" } : null;
+}
+
+function verifyJwt(token) {
+  if (!config.jwtSecret) {
+    return null;
+  }
+
+  try {
+    const claims = jwt.verify(token, config.jwtSecret, {
+      algorithms: ["HS256"],
+    });
+    const role = Array.isArray(claims.roles)
+      ? ROLES.filter((candidate) => claims.roles.includes(candidate)).pop()
+      : claims.role;
+
+    if (!ROLES.includes(role)) {
+      return null;
+    }
+    return { id: claims.sub || "unknown", role, method: "jwt" };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve the caller from X-API-Key or Authorization: Bearer <key|jwt>
+ */
+function identify(req) {
+  const apiKey = req.get("X-API-Key");
+  if (apiKey) {
+    return findApiKey(apiKey);
+  }
+
+  const header = req.get("Authorization") || "";
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return null;
+  }
+
+  // JWTs have three dot-separated segments; anything else is an API key
+  return token.split(".").length === 3 ? verifyJwt(token) : findApiKey(token);
+}
+
+/**
+ * Middleware requiring an authenticated caller with at least `role`
+ */
+function requireRole(role) {
+  const required = ROLES.indexOf(role);
+  if (required === -1) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+
+  return (req, res, next) => {
+    if (config.disabled) {
+      req.user = { id: "anonymous", role: "operator", method: "none" };
+      return next();
+    }
+
+    const user = identify(req);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+      });
+    }
+
+    if (ROLES.indexOf(user.role) < required) {
+      return res.status(403).json({
+        success: false,
+        message: `This action requires the ${role} role`,
+      });
+    }
+
+    req.user = user;
+    next();
+  };
+}
+
+/**
+ * Describe the auth configuration for startup logs
+ */
+function getAuthStatus() {
+  return {
+    disabled: config.disabled,
+    apiKeys: config.apiKeys.length,
+    jwt: !!config.jwtSecret,
+  };
+}
+
+module.exports = {
+  ROLES,
+  safeEqual,
+  requireRole,
+  getAuthStatus,
+};
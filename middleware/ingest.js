@@ -0,0 +1,32 @@
+const { safeEqual } = require("./auth");
+
+/**
+ * Verify the shared secret (INGEST_SECRET) on pushed payloads, sent as
+ * X-Ingest-Secret or Authorization: Bearer <secret>
+ */
+function requireIngestSecret(req, res, next) {
+  const secret = process.env.INGEST_SECRET;
+  if (!secret) {
+    return res.status(503).json({
+      success: false,
+      message: "Push ingestion is disabled (INGEST_SECRET is not set)",
+    });
+  }
+
+  const provided =
+    req.get("X-Ingest-Secret") ||
+    (req.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  if (!provided || !safeEqual(provided, secret)) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid ingest secret",
+    });
+  }
+
+  req.user = { id: "tipsoi-push", role: null, method: "ingest_secret" };
+  next();
+}
+
+module.exports = {
+  requireIngestSecret,
+};
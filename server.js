@@ -1,26 +1,127 @@
 require("dotenv").config();
 const express = require("express");
 const SyncService = require("./services/syncService");
+const AttendanceService = require("./services/attendanceService");
+const AuditLog = require("./services/auditLog");
+const ShiftService = require("./services/shiftService");
+const WebhookDispatcher = require("./services/webhookDispatcher");
+const EmployeeDirectory = require("./services/employeeDirectory");
+const SyncHistory = require("./services/syncHistory");
+const SyncJobQueue = require("./services/syncJobs");
+const metrics = require("./services/metrics");
+const logger = require("./services/logger");
+const {
+  FILTER_FIELDS,
+  SORT_FIELDS,
+  parseSort,
+  decodeCursor,
+} = require("./services/attendanceQuery");
+const {
+  EXPORT_FORMATS,
+  createExportWriter,
+} = require("./services/exportWriter");
+const { requireRole, getAuthStatus } = require("./middleware/auth");
+const { getActor, createAuditMiddleware } = require("./middleware/audit");
+const { requireIngestSecret } = require("./middleware/ingest");
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Longest date range accepted by report endpoints
+const MAX_REPORT_DAYS = 62;
+const MAX_DATA_DAYS = 31;
+const DEFAULT_DATA_LIMIT = 100;
+const MAX_DATA_LIMIT = 1000;
+const DEFAULT_DATA_SORT = "-logged_time";
+const MAX_INGEST_RECORDS = parseInt(process.env.INGEST_MAX_RECORDS, 10) || 5000;
+// A range dry run answers inline, so its range is capped
+const MAX_DRY_RUN_DAYS = parseInt(process.env.DRY_RUN_MAX_DAYS, 10) || 7;
+// Accepted incoming X-Request-Id values; anything else gets a new id
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Logged at startup (debug level)
+const ENDPOINTS = [
+  "GET /health - Health check",
+  "GET /status - Service status",
+  "GET /test - Test all services",
+  "GET /metrics - Prometheus metrics",
+  "POST /sync - Trigger manual sync",
+  "POST /sync/range - Queue a date range sync job",
+  "GET /jobs/:id - Range sync job progress",
+  "DELETE /jobs/:id - Cancel a range sync job",
+  "POST /cron/start - Start automatic sync",
+  "POST /cron/stop - Stop automatic sync",
+  "GET /cron/status - Check cron job status",
+  "GET /sync/last - Get last sync result",
+  "GET /sync/history - Past sync runs and success rate",
+  "GET /data - Query attendance records",
+  "GET /export - Export CSV/XLSX/NDJSON",
+  "GET /checkpoint - View sync checkpoints",
+  "POST /checkpoint/rewind - Rewind sync checkpoint",
+  "POST /sheets/reindex - Rebuild UID dedup index",
+  "GET /timesheets - Daily timesheets per person",
+  "POST /timesheets/publish - Write the Daily Summary tab",
+  "GET /reports/exceptions - Late/early/absent days",
+  "POST /reports/exceptions/publish - Write Exceptions tab",
+  "GET /audit - Search the audit trail",
+  "POST /ingest/tipsoi - Receive pushed TIPSOI records",
+  "GET /webhooks - List webhook subscriptions",
+  "POST /webhooks - Register a webhook",
+  "POST /webhooks/:id/test - Send a test event",
+  "GET /webhooks/dead-letters - Failed deliveries",
+  "GET /alerts - Firing alerts and recent notifications",
+  "POST /alerts/test - Send a test alert",
+  "GET /quarantine - Records that failed validation",
+  "POST /quarantine/:uid/replay - Replay a fixed record",
+  "GET /devices - Device activity and status",
+  "GET /employees - Employee directory",
+  "POST /employees/:code/cards - Reassign an RFID card",
+];
+
 // Middleware
+// Pushed TIPSOI batches can be larger than the default 100kb body limit
+app.use(
+  "/ingest",
+  express.json({ limit: process.env.INGEST_MAX_BODY_SIZE || "5mb" })
+);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Global sync service instance
 let syncService;
 
-// Request logging middleware
+// Audit trail of manual operations and configuration changes
+const auditLog = new AuditLog();
+const audit = createAuditMiddleware(auditLog);
+
+// Request logging middleware: every request gets a requestId (from
+// X-Request-Id when the caller sends one), echoed back in the response and
+// attached to everything logged while handling it
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
+  const incoming = req.get("X-Request-Id");
+  const requestId =
+    incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : logger.newId();
+  const startedAt = Date.now();
+  res.set("X-Request-Id", requestId);
+  res.on("finish", () =>
+    logger.info("Request completed", {
+      requestId,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+    })
+  );
+  logger.runWithContext({ requestId }, next);
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error(`Error on ${req.method} ${req.path}:`, err.message);
+  logger.error("Request failed", {
+    method: req.method,
+    path: req.path,
+    error: err,
+  });
   res.status(500).json({
     success: false,
     message: "Internal server error",
@@ -44,7 +145,7 @@ app.get("/health", (req, res) => {
 /**
  * Get service status
  */
-app.get("/status", async (req, res) => {
+app.get("/status", requireRole("viewer"), async (req, res) => {
   try {
     if (!syncService) {
       return res.status(503).json({
@@ -66,10 +167,26 @@ app.get("/status", async (req, res) => {
   }
 });
 
+/**
+ * Prometheus metrics. Scrapers can send an API key as
+ * "Authorization: Bearer <key>".
+ */
+app.get("/metrics", requireRole("viewer"), async (req, res) => {
+  try {
+    res.set("Content-Type", metrics.register.contentType);
+    res.end(await metrics.register.metrics());
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
 /**
  * Test all services
  */
-app.get("/test", async (req, res) => {
+app.get("/test", requireRole("viewer"), async (req, res) => {
   try {
     if (!syncService) {
       return res.status(503).json({
@@ -89,9 +206,165 @@ app.get("/test", async (req, res) => {
 });
 
 /**
- * Trigger manual sync
+ * Trigger manual sync ({ dryRun: true } to preview it without writing)
+ */
+app.post(
+  "/sync",
+  requireRole("operator"),
+  audit("sync.run"),
+  async (req, res) => {
+    try {
+      if (!syncService) {
+        return res.status(503).json({
+          success: false,
+          message: "Sync service not initialized",
+        });
+      }
+
+      const { project, dryRun = false } = req.body || {};
+      if (typeof dryRun !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          message: "dryRun must be true or false",
+        });
+      }
+
+      if (project && !syncService.hasProject(project)) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown project: ${project}`,
+        });
+      }
+
+      const result = dryRun
+        ? await syncService.previewSync(project)
+        : await syncService.performSync(project);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Queue a date range sync as a background job; returns the job at once.
+ * { dryRun: true } returns what the sync would write instead.
+ */
+app.post(
+  "/sync/range",
+  requireRole("operator"),
+  audit("sync.range"),
+  async (req, res) => {
+    try {
+      if (!syncService) {
+        return res.status(503).json({
+          success: false,
+          message: "Sync service not initialized",
+        });
+      }
+
+      const {
+        startDate,
+        endDate,
+        criteria = "sync_time",
+        project,
+        dryRun = false,
+      } = req.body;
+
+      if (typeof dryRun !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          message: "dryRun must be true or false",
+        });
+      }
+
+      if (!startDate || !endDate) {
+        return res.status(400).json({
+          success: false,
+          message: "startDate and endDate are required",
+        });
+      }
+
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+
+      if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Invalid date format. Use ISO date format (e.g., 2023-12-01T00:00:00Z)",
+        });
+      }
+
+      if (start >= end) {
+        return res.status(400).json({
+          success: false,
+          message: "startDate must be before endDate",
+        });
+      }
+
+      if (!AttendanceService.CRITERIA.includes(criteria)) {
+        return res.status(400).json({
+          success: false,
+          message: `criteria must be one of: ${AttendanceService.CRITERIA.join(
+            ", "
+          )}`,
+        });
+      }
+
+      if (project && !syncService.hasProject(project)) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown project: ${project}`,
+        });
+      }
+
+      // A dry run writes nothing, so it answers right away instead of
+      // queueing a job
+      if (dryRun) {
+        if ((end - start) / 86400000 > MAX_DRY_RUN_DAYS) {
+          return res.status(400).json({
+            success: false,
+            message: `A dry run cannot cover more than ${MAX_DRY_RUN_DAYS} days`,
+          });
+        }
+
+        const result = await syncService.previewSync(project, {
+          startDate: start,
+          endDate: end,
+          criteria,
+        });
+        return res.json(result);
+      }
+
+      const job = syncService.createSyncJob(
+        start,
+        end,
+        criteria,
+        project,
+        getActor(req)
+      );
+      res.status(202).json({
+        success: true,
+        message: `Range sync queued as job ${job.id}`,
+        job,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * List range sync jobs, newest first
  */
-app.post("/sync", async (req, res) => {
+app.get("/jobs", requireRole("viewer"), async (req, res) => {
   try {
     if (!syncService) {
       return res.status(503).json({
@@ -100,8 +373,26 @@ app.post("/sync", async (req, res) => {
       });
     }
 
-    const result = await syncService.performSync();
-    res.json(result);
+    const { status } = req.query;
+    if (status && !SyncJobQueue.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${SyncJobQueue.STATUSES.join(", ")}`,
+      });
+    }
+
+    const limit = req.query.limit ? Number(req.query.limit) : 20;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "limit must be between 1 and 100",
+      });
+    }
+
+    res.json({
+      success: true,
+      ...syncService.jobs.list({ status, limit }),
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -111,9 +402,9 @@ app.post("/sync", async (req, res) => {
 });
 
 /**
- * Trigger manual sync with date range
+ * Progress of a range sync job
  */
-app.post("/sync/range", async (req, res) => {
+app.get("/jobs/:id", requireRole("viewer"), async (req, res) => {
   try {
     if (!syncService) {
       return res.status(503).json({
@@ -122,35 +413,125 @@ app.post("/sync/range", async (req, res) => {
       });
     }
 
-    const { startDate, endDate } = req.body;
+    const job = syncService.jobs.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown job: ${req.params.id}`,
+      });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Cancel a queued or running job; a running job stops after its current
+ * chunk
+ */
+app.delete(
+  "/jobs/:id",
+  requireRole("operator"),
+  audit("jobs.cancel"),
+  async (req, res) => {
+    try {
+      if (!syncService) {
+        return res.status(503).json({
+          success: false,
+          message: "Sync service not initialized",
+        });
+      }
 
-    if (!startDate || !endDate) {
-      return res.status(400).json({
+      const job = syncService.jobs.get(req.params.id);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown job: ${req.params.id}`,
+        });
+      }
+      if (!syncService.jobs.cancel(job.id)) {
+        return res.status(409).json({
+          success: false,
+          message: `Job is already ${job.status}`,
+        });
+      }
+      res.json({ success: true, message: "Job cancelled", job });
+    } catch (error) {
+      res.status(500).json({
         success: false,
-        message: "startDate and endDate are required",
+        message: error.message,
       });
     }
+  }
+);
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+/**
+ * Queue a failed or cancelled job again from its next chunk
+ */
+app.post(
+  "/jobs/:id/resume",
+  requireRole("operator"),
+  audit("jobs.resume"),
+  async (req, res) => {
+    try {
+      if (!syncService) {
+        return res.status(503).json({
+          success: false,
+          message: "Sync service not initialized",
+        });
+      }
 
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-      return res.status(400).json({
+      const job = syncService.jobs.get(req.params.id);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown job: ${req.params.id}`,
+        });
+      }
+      if (!syncService.jobs.resume(job.id)) {
+        return res.status(409).json({
+          success: false,
+          message: `Only failed or cancelled jobs can be resumed (job is ${job.status})`,
+        });
+      }
+      res.json({ success: true, message: "Job resumed", job });
+    } catch (error) {
+      res.status(500).json({
         success: false,
-        message:
-          "Invalid date format. Use ISO date format (e.g., 2023-12-01T00:00:00Z)",
+        message: error.message,
       });
     }
+  }
+);
 
-    if (start >= end) {
-      return res.status(400).json({
+/**
+ * Start cron job
+ */
+app.post("/cron/start", requireRole("operator"), async (req, res) => {
+  try {
+    if (!syncService) {
+      return res.status(503).json({
         success: false,
-        message: "startDate must be before endDate",
+        message: "Sync service not initialized",
       });
     }
 
-    const result = await syncService.performManualSync(start, end);
-    res.json(result);
+    const started = syncService.startCronJob({
+      actor: getActor(req),
+      route: req.originalUrl,
+      method: req.method,
+      source: "http",
+    });
+    res.json({
+      success: started,
+      message: started
+        ? "Cron job started successfully"
+        : "Cron job already running",
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -160,9 +541,92 @@ app.post("/sync/range", async (req, res) => {
 });
 
 /**
- * Start cron job
+ * Validate the time window and filters shared by GET /data and GET /export
+ */
+function parseRecordQuery(query) {
+  const endTime = query.endTime ? new Date(query.endTime) : new Date();
+  const startTime = query.startTime
+    ? new Date(query.startTime)
+    : new Date(endTime.getTime() - 24 * 60 * 60 * 1000);
+  const criteria = query.criteria || "logged_time";
+
+  if (isNaN(startTime.getTime()) || isNaN(endTime.getTime())) {
+    return {
+      error:
+        "Invalid date format. Use ISO date format (e.g., 2023-12-01T00:00:00Z)",
+    };
+  }
+  if (startTime >= endTime) {
+    return { error: "startTime must be before endTime" };
+  }
+  if ((endTime - startTime) / 86400000 > MAX_DATA_DAYS) {
+    return { error: `Time range cannot exceed ${MAX_DATA_DAYS} days` };
+  }
+  if (!AttendanceService.CRITERIA.includes(criteria)) {
+    return {
+      error: `criteria must be one of: ${AttendanceService.CRITERIA.join(
+        ", "
+      )}`,
+    };
+  }
+
+  const filters = {};
+  FILTER_FIELDS.forEach((field) => {
+    if (query[field] !== undefined) {
+      filters[field] = query[field];
+    }
+  });
+
+  return {
+    project: query.project,
+    startTime,
+    endTime,
+    criteria,
+    filters,
+  };
+}
+
+/**
+ * Validate the GET /data query string (window, filters, paging and sorting)
+ */
+function parseDataQuery(query) {
+  const recordQuery = parseRecordQuery(query);
+  if (recordQuery.error) {
+    return recordQuery;
+  }
+
+  const limit = query.limit ? Number(query.limit) : DEFAULT_DATA_LIMIT;
+  const sort = parseSort(query.sort || DEFAULT_DATA_SORT);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DATA_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_DATA_LIMIT}` };
+  }
+  if (!sort) {
+    return {
+      error: `sort must be one of: ${SORT_FIELDS.join(
+        ", "
+      )} (prefix with - for descending)`,
+    };
+  }
+
+  const cursor = query.cursor ? decodeCursor(query.cursor, sort) : null;
+  if (query.cursor && !cursor) {
+    return { error: "Invalid cursor for this sort order" };
+  }
+
+  return {
+    ...recordQuery,
+    limit,
+    sort,
+    cursor,
+  };
+}
+
+/**
+ * Query attendance records straight from TIPSOI (read-only, never moves the
+ * sync checkpoint)
  */
-app.post("/cron/start", async (req, res) => {
+app.get("/data", requireRole("viewer"), async (req, res) => {
   try {
     if (!syncService) {
       return res.status(503).json({
@@ -171,12 +635,38 @@ app.post("/cron/start", async (req, res) => {
       });
     }
 
-    const started = syncService.startCronJob();
+    const query = parseDataQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        message: query.error,
+      });
+    }
+
+    if (query.project && !syncService.hasProject(query.project)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown project: ${query.project}`,
+      });
+    }
+
+    const result = await syncService.queryAttendance(query);
     res.json({
-      success: started,
-      message: started
-        ? "Cron job started successfully"
-        : "Cron job already running",
+      success: true,
+      count: result.records.length,
+      total: result.total,
+      hasMore: result.hasMore,
+      nextCursor: result.nextCursor,
+      query: {
+        startTime: query.startTime,
+        endTime: query.endTime,
+        criteria: query.criteria,
+        sort: req.query.sort || DEFAULT_DATA_SORT,
+        limit: query.limit,
+        filters: query.filters,
+      },
+      records: result.records,
+      projects: result.projects,
     });
   } catch (error) {
     res.status(500).json({
@@ -187,16 +677,54 @@ app.post("/cron/start", async (req, res) => {
 });
 
 /**
- * Display all the attendence data
+ * Receive attendance records pushed by TIPSOI (same shape as a fetch:
+ * { records: [...], project: {...} }) and run them through the sync
+ * pipeline
  */
-app.get("/data", async (req, res) => {
+app.post("/ingest/tipsoi", requireIngestSecret, async (req, res) => {
   try {
-    const querys = req.query || {};
-    const result = await syncService.fetchAttendanceData(querys);
-    res.json({
-      success: result,
-      message: "Attendence Recieved successfully",
+    if (!syncService) {
+      return res.status(503).json({
+        success: false,
+        message: "Sync service not initialized",
+      });
+    }
+
+    const { project } = req.query;
+    if (project && !syncService.hasProject(project)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown project: ${project}`,
+      });
+    }
+    if (!project && syncService.projects.size > 1) {
+      return res.status(400).json({
+        success: false,
+        message: "project is required when more than one project is configured",
+      });
+    }
+
+    // Also accept a raw TIPSOI page ({ data: [...] })
+    const body = req.body || {};
+    const records = Array.isArray(body.records) ? body.records : body.data;
+    if (!Array.isArray(records)) {
+      return res.status(400).json({
+        success: false,
+        message: "Payload must contain a records array",
+      });
+    }
+    if (records.length > MAX_INGEST_RECORDS) {
+      return res.status(413).json({
+        success: false,
+        message: `At most ${MAX_INGEST_RECORDS} records per request`,
+      });
+    }
+
+    const result = await syncService.ingestRecords(project, {
+      records,
+      project: body.project,
     });
+    res.status(result.success ? 200 : 500).json(result);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -205,10 +733,84 @@ app.get("/data", async (req, res) => {
   }
 });
 
+/**
+ * Stream attendance records as CSV, XLSX or NDJSON
+ */
+app.get("/export", requireRole("viewer"), async (req, res) => {
+  if (!syncService) {
+    return res.status(503).json({
+      success: false,
+      message: "Sync service not initialized",
+    });
+  }
+
+  const format = req.query.format || "csv";
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(
+        ", "
+      )}`,
+    });
+  }
+
+  const query = parseRecordQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({
+      success: false,
+      message: query.error,
+    });
+  }
+
+  if (query.project && !syncService.hasProject(query.project)) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown project: ${query.project}`,
+    });
+  }
+
+  const batches = syncService.iterateAttendance(query);
+  let writer = null;
+
+  try {
+    // Wait for the first batch before committing to a file download, so a
+    // failing TIPSOI call still gets a JSON error response
+    const first = await batches.next();
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const fileName = `attendance-${query.startTime
+      .toISOString()
+      .slice(0, 10)}-${query.endTime.toISOString().slice(0, 10)}.${extension}`;
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+    writer = createExportWriter(format, res);
+    await writer.start();
+    if (!first.done) {
+      await writer.write(first.value);
+      for await (const records of batches) {
+        await writer.write(records);
+      }
+    }
+    await writer.finish();
+  } catch (error) {
+    if (!writer) {
+      return res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    // Headers are already sent; cut the download short so it isn't
+    // mistaken for a complete file
+    logger.error("Export failed", { error });
+    res.destroy(error);
+  }
+});
+
 /**
  * Stop cron job
  */
-app.post("/cron/stop", async (req, res) => {
+app.post("/cron/stop", requireRole("operator"), async (req, res) => {
   try {
     if (!syncService) {
       return res.status(503).json({
@@ -217,7 +819,12 @@ app.post("/cron/stop", async (req, res) => {
       });
     }
 
-    const stopped = syncService.stopCronJob();
+    const stopped = syncService.stopCronJob({
+      actor: getActor(req),
+      route: req.originalUrl,
+      method: req.method,
+      source: "http",
+    });
     res.json({
       success: stopped,
       message: stopped
@@ -235,7 +842,7 @@ app.post("/cron/stop", async (req, res) => {
 /**
  * Get cron job status
  */
-app.get("/cron/status", async (req, res) => {
+app.get("/cron/status", requireRole("viewer"), async (req, res) => {
   try {
     if (!syncService) {
       return res.status(503).json({
@@ -261,7 +868,7 @@ app.get("/cron/status", async (req, res) => {
 /**
  * Get last sync result
  */
-app.get("/sync/last", async (req, res) => {
+app.get("/sync/last", requireRole("viewer"), async (req, res) => {
   try {
     if (!syncService) {
       return res.status(503).json({
@@ -283,81 +890,1296 @@ app.get("/sync/last", async (req, res) => {
 });
 
 /**
- * Initialize and start server
+ * Past sync runs, newest first, with stats for the last 24 hours.
+ * Query: project, trigger (cron|manual|range), status
+ * (success|failure|skipped), from, to, limit
  */
-async function startServer() {
+app.get("/sync/history", requireRole("viewer"), async (req, res) => {
   try {
-    console.log("🚀 TIPSOI Attendance Sync Server");
-    console.log("================================");
-    console.log("Initializing services...");
-
-    // Initialize sync service
-    syncService = new SyncService();
-    await syncService.initialize();
+    if (!syncService) {
+      return res.status(503).json({
+        success: false,
+        message: "Sync service not initialized",
+      });
+    }
 
-    console.log("✅ Services initialized successfully");
+    const { project, trigger, status, from, to } = req.query;
+    if (project && !syncService.hasProject(project)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown project: ${project}`,
+      });
+    }
+    if (trigger && !SyncHistory.TRIGGERS.includes(trigger)) {
+      return res.status(400).json({
+        success: false,
+        message: `trigger must be one of: ${SyncHistory.TRIGGERS.join(", ")}`,
+      });
+    }
+    if (status && !SyncHistory.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${SyncHistory.STATUSES.join(", ")}`,
+      });
+    }
+    if (
+      (from && isNaN(new Date(from).getTime())) ||
+      (to && isNaN(new Date(to).getTime()))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid from/to date format",
+      });
+    }
 
-    // Start the cron job automatically
-    try {
-      syncService.startCronJob();
-      console.log("✅ Automatic sync started");
-    } catch (error) {
-      console.warn("⚠️  Could not start automatic sync:", error.message);
-      console.warn("   You can start it manually via POST /cron/start");
+    const limit = req.query.limit
+      ? Number(req.query.limit)
+      : DEFAULT_DATA_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DATA_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `limit must be between 1 and ${MAX_DATA_LIMIT}`,
+      });
     }
 
-    // Start Express server
-    app.listen(port, () => {
-      console.log(`\n🌐 Server running on http://localhost:${port}`);
-      console.log(`📊 Health check: http://localhost:${port}/health`);
-      console.log(`📈 Status: http://localhost:${port}/status`);
-      console.log(`🔧 Test services: http://localhost:${port}/test`);
-      console.log("\nAPI Endpoints:");
-      console.log("  POST /sync              - Trigger manual sync");
-      console.log("  POST /sync/range        - Sync specific date range");
-      console.log("  POST /cron/start        - Start automatic sync");
-      console.log("  POST /cron/stop         - Stop automatic sync");
-      console.log("  GET  /cron/status       - Check cron job status");
-      console.log("  GET  /sync/last         - Get last sync result");
-      console.log("\n⏰ Sync interval:", syncService.syncInterval);
-      console.log("🎯 Ready to sync attendance data!");
+    const { total, runs, stats } = syncService.getSyncHistory({
+      project,
+      trigger,
+      status,
+      from: from ? new Date(from) : null,
+      to: to ? new Date(to) : null,
+      limit,
+    });
+    res.json({
+      success: true,
+      stats: stats,
+      total: total,
+      count: runs.length,
+      runs: runs,
     });
   } catch (error) {
-    console.error("❌ Failed to start server:", error.message);
-    console.error("\nPossible issues:");
-    console.error("1. Check your .env file configuration");
-    console.error("2. Ensure Google Sheets service account key is valid");
-    console.error("3. Verify TIPSOI API token and URL");
-    console.error("4. Check network connectivity");
-    process.exit(1);
-  }
-}
-
-// Handle graceful shutdown
-process.on("SIGTERM", () => {
-  console.log("\n🛑 Received SIGTERM, shutting down gracefully...");
-  if (syncService) {
-    syncService.stopCronJob();
-  }
-  process.exit(0);
-});
-
-process.on("SIGINT", () => {
-  console.log("\n🛑 Received SIGINT, shutting down gracefully...");
-  if (syncService) {
-    syncService.stopCronJob();
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
   }
-  process.exit(0);
-});
-
-// Handle uncaught exceptions
-process.on("uncaughtException", (error) => {
-  console.error("💥 Uncaught Exception:", error);
-  process.exit(1);
 });
 
-process.on("unhandledRejection", (reason, promise) => {
-  console.error("💥 Unhandled Rejection at:", promise, "reason:", reason);
+/**
+ * Get sync checkpoints
+ */
+app.get("/checkpoint", requireRole("viewer"), async (req, res) => {
+  try {
+    if (!syncService) {
+      return res.status(503).json({
+        success: false,
+        message: "Sync service not initialized",
+      });
+    }
+
+    const checkpoints = await syncService.getCheckpoints();
+    res.json({
+      success: true,
+      projects: Array.from(syncService.projects.keys()),
+      checkpoints: checkpoints,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Rewind the sync checkpoint to replay a period
+ */
+app.post(
+  "/checkpoint/rewind",
+  requireRole("operator"),
+  audit("checkpoint.rewind"),
+  async (req, res) => {
+    try {
+      if (!syncService) {
+        return res.status(503).json({
+          success: false,
+          message: "Sync service not initialized",
+        });
+      }
+
+      const { syncTime, project } = req.body;
+      if (project && !syncService.hasProject(project)) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown project: ${project}`,
+        });
+      }
+      if (!project && syncService.projects.size > 1) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "project is required when more than one project is configured",
+        });
+      }
+
+      if (syncTime === undefined) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "syncTime is required (ISO date, YYYY-MM-DD HH:MM:SS, or null to clear)",
+        });
+      }
+
+      if (syncTime !== null && isNaN(new Date(syncTime).getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid syncTime format",
+        });
+      }
+
+      const checkpoint = await syncService.rewindCheckpoint(syncTime, project);
+      res.json({
+        success: true,
+        message: "Checkpoint updated",
+        checkpoint: checkpoint,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Rebuild the local UID dedup index from the sheet
+ */
+app.post(
+  "/sheets/reindex",
+  requireRole("operator"),
+  audit("sheets.reindex"),
+  async (req, res) => {
+    try {
+      if (!syncService) {
+        return res.status(503).json({
+          success: false,
+          message: "Sync service not initialized",
+        });
+      }
+
+      const { project } = req.body || {};
+      if (project && !syncService.hasProject(project)) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown project: ${project}`,
+        });
+      }
+      if (!project && syncService.projects.size > 1) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "project is required when more than one project is configured",
+        });
+      }
+
+      const uidIndex = await syncService.reindexSheet(project);
+      res.json({
+        success: true,
+        message: "UID index rebuilt successfully",
+        uidIndex: uidIndex,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Validate a YYYY-MM-DD date range from a request
+ */
+function parseDayRange(startDate, endDate = startDate) {
+  const pattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (!startDate) {
+    return { error: "startDate is required (YYYY-MM-DD)" };
+  }
+  if (
+    !pattern.test(startDate) ||
+    !pattern.test(endDate) ||
+    isNaN(new Date(startDate).getTime()) ||
+    isNaN(new Date(endDate).getTime())
+  ) {
+    return { error: "Invalid date format. Use YYYY-MM-DD" };
+  }
+  if (startDate > endDate) {
+    return { error: "startDate must not be after endDate" };
+  }
+
+  const days = (new Date(endDate) - new Date(startDate)) / 86400000 + 1;
+  if (days > MAX_REPORT_DAYS) {
+    return { error: `Date range cannot exceed ${MAX_REPORT_DAYS} days` };
+  }
+
+  return { startDate, endDate };
+}
+
+/**
+ * Daily timesheets (first-in / last-out / worked hours) per person
+ */
+app.get("/timesheets", requireRole("viewer"), async (req, res) => {
+  try {
+    if (!syncService) {
+      return res.status(503).json({
+        success: false,
+        message: "Sync service not initialized",
+      });
+    }
+
+    const { project, person_identifier } = req.query;
+    const range = parseDayRange(req.query.startDate, req.query.endDate);
+
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error,
+      });
+    }
+
+    if (project && !syncService.hasProject(project)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown project: ${project}`,
+      });
+    }
+
+    const timesheets = await syncService.getTimesheets(
+      range.startDate,
+      range.endDate,
+      { project, person_identifier }
+    );
+    res.json({
+      success: true,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      count: timesheets.length,
+      timesheets: timesheets,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Rewrite the "Daily Summary" tab for a date range
+ */
+app.post(
+  "/timesheets/publish",
+  requireRole("operator"),
+  audit("timesheets.publish"),
+  async (req, res) => {
+    try {
+      if (!syncService) {
+        return res.status(503).json({
+          success: false,
+          message: "Sync service not initialized",
+        });
+      }
+
+      const { project } = req.body;
+      const range = parseDayRange(req.body.startDate, req.body.endDate);
+
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error,
+        });
+      }
+
+      if (project && !syncService.hasProject(project)) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown project: ${project}`,
+        });
+      }
+
+      const result = await syncService.publishDailySummary(
+        range.startDate,
+        range.endDate,
+        project
+      );
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Late, early-leave and absent days compared against shift definitions
+ */
+app.get("/reports/exceptions", requireRole("viewer"), async (req, res) => {
+  try {
+    if (!syncService) {
+      return res.status(503).json({
+        success: false,
+        message: "Sync service not initialized",
+      });
+    }
+
+    const { project, person_identifier } = req.query;
+    const range = parseDayRange(req.query.startDate, req.query.endDate);
+
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error,
+      });
+    }
+
+    if (project && !syncService.hasProject(project)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown project: ${project}`,
+      });
+    }
+
+    // Default to the exceptions only; ?all=true includes on_time and off
+    const statuses = req.query.status
+      ? req.query.status.split(",").map((status) => status.trim())
+      : req.query.all === "true"
+      ? null
+      : ["absent", "late", "early_leave"];
+
+    const unknown = (statuses || []).filter(
+      (status) => !ShiftService.STATUSES.includes(status)
+    );
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status: ${unknown.join(
+          ", "
+        )}. Use ${ShiftService.STATUSES.join(", ")}`,
+      });
+    }
+
+    if (!syncService.hasShifts(project)) {
+      return res.status(400).json({
+        success: false,
+        message: "No shifts configured (SHIFTS_CONFIG)",
+      });
+    }
+
+    const exceptions = await syncService.getExceptions(
+      range.startDate,
+      range.endDate,
+      { project, person_identifier, statuses }
+    );
+    res.json({
+      success: true,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      count: exceptions.length,
+      exceptions: exceptions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Rewrite the "Exceptions" tab for a date range
+ */
+app.post(
+  "/reports/exceptions/publish",
+  requireRole("operator"),
+  audit("exceptions.publish"),
+  async (req, res) => {
+    try {
+      if (!syncService) {
+        return res.status(503).json({
+          success: false,
+          message: "Sync service not initialized",
+        });
+      }
+
+      const { project } = req.body;
+      const range = parseDayRange(req.body.startDate, req.body.endDate);
+
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error,
+        });
+      }
+
+      if (project && !syncService.hasProject(project)) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown project: ${project}`,
+        });
+      }
+
+      if (!syncService.hasShifts(project)) {
+        return res.status(400).json({
+          success: false,
+          message: "No shifts configured (SHIFTS_CONFIG)",
+        });
+      }
+
+      const result = await syncService.publishExceptions(
+        range.startDate,
+        range.endDate,
+        project
+      );
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Search the audit trail
+ */
+app.get("/audit", requireRole("operator"), async (req, res) => {
+  try {
+    const { from, to, action, actor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+    if (
+      (from && isNaN(new Date(from).getTime())) ||
+      (to && isNaN(new Date(to).getTime()))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid from/to date format",
+      });
+    }
+
+    const entries = auditLog.search({ from, to, action, actor, limit });
+    res.json({
+      success: true,
+      count: entries.length,
+      entries: entries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * List webhook subscriptions (secrets hidden)
+ */
+app.get("/webhooks", requireRole("operator"), async (req, res) => {
+  try {
+    if (!syncService) {
+      return res.status(503).json({
+        success: false,
+        message: "Sync service not initialized",
+      });
+    }
+
+    res.json({
+      success: true,
+      events: WebhookDispatcher.EVENTS,
+      subscriptions: syncService.webhooks.list(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Register a webhook subscription
+ */
+app.post(
+  "/webhooks",
+  requireRole("operator"),
+  audit("webhooks.create"),
+  async (req, res) => {
+    try {
+      if (!syncService) {
+        return res.status(503).json({
+          success: false,
+          message: "Sync service not initialized",
+        });
+      }
+
+      const { url, events, secret, description } = req.body;
+      const error = syncService.webhooks.validate({ url, events, secret });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const subscription = syncService.webhooks.create({
+        url,
+        events,
+        secret,
+        description,
+      });
+      res.status(201).json({
+        success: true,
+        message: "Webhook registered. Store the secret, it is not shown again",
+        subscription: subscription,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Remove a webhook subscription
+ */
+app.delete(
+  "/webhooks/:id",
+  requireRole("operator"),
+  audit("webhooks.delete"),
+  async (req, res) => {
+    try {
+      if (!syncService) {
+        return res.status(503).json({
+          success: false,
+          message: "Sync service not initialized",
+        });
+      }
+
+      if (!syncService.webhooks.remove(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown webhook: ${req.params.id}`,
+        });
+      }
+      res.json({
+        success: true,
+        message: "Webhook removed",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Send a signed test event to a subscription and report the outcome
+ */
+app.post(
+  "/webhooks/:id/test",
+  requireRole("operator"),
+  audit("webhooks.test"),
+  async (req, res) => {
+    try {
+      if (!syncService) {
+        return res.status(503).json({
+          success: false,
+          message: "Sync service not initialized",
+        });
+      }
+
+      if (!syncService.webhooks.get(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown webhook: ${req.params.id}`,
+        });
+      }
+
+      const result = await syncService.webhooks.test(req.params.id);
+      res.json({
+        ...result,
+        message: result.success
+          ? "Test delivery succeeded"
+          : `Test delivery failed: ${result.message}`,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Deliveries that failed after every retry
+ */
+app.get("/webhooks/dead-letters", requireRole("operator"), async (req, res) => {
+  try {
+    if (!syncService) {
+      return res.status(503).json({
+        success: false,
+        message: "Sync service not initialized",
+      });
+    }
+
+    const deadLetters = syncService.webhooks.deadLetters;
+    res.json({
+      success: true,
+      count: deadLetters.length,
+      deadLetters: deadLetters,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Deliver a dead letter again (removed from the list on success)
+ */
+app.post(
+  "/webhooks/dead-letters/:id/redeliver",
+  requireRole("operator"),
+  audit("webhooks.redeliver"),
+  async (req, res) => {
+    try {
+      if (!syncService) {
+        return res.status(503).json({
+          success: false,
+          message: "Sync service not initialized",
+        });
+      }
+
+      if (!syncService.webhooks.hasDeadLetter(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown dead letter: ${req.params.id}`,
+        });
+      }
+
+      const result = await syncService.webhooks.redeliver(req.params.id);
+      res.json({
+        ...result,
+        message: result.success
+          ? "Delivered"
+          : `Delivery failed: ${result.message}`,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Discard a dead letter
+ */
+app.delete(
+  "/webhooks/dead-letters/:id",
+  requireRole("operator"),
+  audit("webhooks.discard"),
+  async (req, res) => {
+    try {
+      if (!syncService) {
+        return res.status(503).json({
+          success: false,
+          message: "Sync service not initialized",
+        });
+      }
+
+      if (!syncService.webhooks.hasDeadLetter(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown dead letter: ${req.params.id}`,
+        });
+      }
+
+      syncService.webhooks.removeDeadLetter(req.params.id);
+      res.json({
+        success: true,
+        message: "Dead letter discarded",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Alert rules and notifiers, firing alerts and the latest notifications
+ */
+app.get("/alerts", requireRole("viewer"), async (req, res) => {
+  try {
+    if (!syncService) {
+      return res.status(503).json({
+        success: false,
+        message: "Sync service not initialized",
+      });
+    }
+
+    const limit = req.query.limit ? Number(req.query.limit) : 20;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "limit must be between 1 and 100",
+      });
+    }
+
+    res.json({
+      success: true,
+      alerts: syncService.getAlerts(limit),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Send a test alert to every notifier
+ */
+app.post(
+  "/alerts/test",
+  requireRole("operator"),
+  audit("alerts.test"),
+  async (req, res) => {
+    try {
+      if (!syncService) {
+        return res.status(503).json({
+          success: false,
+          message: "Sync service not initialized",
+        });
+      }
+
+      if (!syncService.alerts.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: "No alert notifiers configured (ALERTS_CONFIG)",
+        });
+      }
+
+      const results = await syncService.alerts.sendTest();
+      const failed = results.filter((result) => !result.success);
+      res.json({
+        success: failed.length === 0,
+        message:
+          failed.length === 0
+            ? "Test alert sent"
+            : `Test alert failed for: ${failed
+                .map((result) => result.notifier)
+                .join(", ")}`,
+        results: results,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Records that failed validation, with the reasons, newest first
+ */
+app.get("/quarantine", requireRole("viewer"), async (req, res) => {
+  try {
+    if (!syncService) {
+      return res.status(503).json({
+        success: false,
+        message: "Sync service not initialized",
+      });
+    }
+
+    const { project, reason } = req.query;
+    if (project && !syncService.hasProject(project)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown project: ${project}`,
+      });
+    }
+
+    const limit = req.query.limit
+      ? Number(req.query.limit)
+      : DEFAULT_DATA_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DATA_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `limit must be between 1 and ${MAX_DATA_LIMIT}`,
+      });
+    }
+
+    const { total, entries } = syncService.getQuarantine({
+      project,
+      reason,
+      limit,
+    });
+    res.json({
+      success: true,
+      total: total,
+      count: entries.length,
+      entries: entries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Write a quarantined record to the sinks. Body (all optional):
+ * { project, fields: { ...corrections }, force: true to skip validation }
+ */
+app.post(
+  "/quarantine/:uid/replay",
+  requireRole("operator"),
+  audit("quarantine.replay"),
+  async (req, res) => {
+    try {
+      if (!syncService) {
+        return res.status(503).json({
+          success: false,
+          message: "Sync service not initialized",
+        });
+      }
+
+      const { fields = {}, force = false } = req.body || {};
+      if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+        return res.status(400).json({
+          success: false,
+          message: "fields must be an object of record fields",
+        });
+      }
+
+      const entries = syncService
+        .findQuarantined(req.params.uid)
+        .filter(
+          (entry) => !req.body?.project || entry.project === req.body.project
+        );
+      if (entries.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: `No quarantined record: ${req.params.uid}`,
+        });
+      }
+      if (entries.length > 1) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "project is required, the uid is quarantined in several projects",
+        });
+      }
+
+      const result = await syncService.replayQuarantined(
+        entries[0].project,
+        req.params.uid,
+        { fields, force: force === true }
+      );
+      res
+        .status(result.success ? 200 : result.reasons ? 422 : 500)
+        .json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Devices with last-seen time, daily punch volume and sync lag (`days`
+ * of history, `status` = ok, silent or never_seen)
+ */
+app.get("/devices", requireRole("viewer"), async (req, res) => {
+  try {
+    if (!syncService) {
+      return res.status(503).json({
+        success: false,
+        message: "Sync service not initialized",
+      });
+    }
+
+    const days = req.query.days ? Number(req.query.days) : 7;
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DATA_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `days must be between 1 and ${MAX_DATA_DAYS}`,
+      });
+    }
+
+    const devices = syncService.getDevices({ days, status: req.query.status });
+    res.json({
+      success: true,
+      count: devices.length,
+      devices: devices,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Employee routes need the sync service and a configured directory
+ */
+function requireDirectory(req, res, next) {
+  if (!syncService) {
+    return res.status(503).json({
+      success: false,
+      message: "Sync service not initialized",
+    });
+  }
+  if (!syncService.directory.enabled) {
+    return res.status(400).json({
+      success: false,
+      message:
+        "No employee directory configured (EMPLOYEE_DIRECTORY_PATH or EMPLOYEE_DIRECTORY_SHEET)",
+    });
+  }
+  next();
+}
+
+/**
+ * List employees (`department`, `q` to search code and name)
+ */
+app.get(
+  "/employees",
+  requireRole("viewer"),
+  requireDirectory,
+  async (req, res) => {
+    try {
+      const { department, q } = req.query;
+      const employees = syncService.directory.list({ department, q });
+      res.json({
+        success: true,
+        count: employees.length,
+        employees: employees,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Person identifiers and cards seen in punches but not in the directory
+ */
+app.get(
+  "/employees/unknown",
+  requireRole("viewer"),
+  requireDirectory,
+  async (req, res) => {
+    try {
+      const unknown = syncService.getUnknownEmployees(req.query.project);
+      res.json({
+        success: true,
+        count: unknown.length,
+        unknown: unknown,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+app.get(
+  "/employees/:code",
+  requireRole("viewer"),
+  requireDirectory,
+  async (req, res) => {
+    try {
+      const employee = syncService.directory.get(req.params.code);
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown employee: ${req.params.code}`,
+        });
+      }
+      res.json({ success: true, employee: employee });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Add an employee ({ employee_code, name, department, person_identifier,
+ * cards: [{ rfid, from, to }] })
+ */
+app.post(
+  "/employees",
+  requireRole("operator"),
+  requireDirectory,
+  audit("employees.create"),
+  async (req, res) => {
+    try {
+      const result = await syncService.directory.create(req.body || {});
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+      res.status(201).json({
+        success: true,
+        message: "Employee added",
+        employee: result.employee,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Change an employee; fields left out keep their value
+ */
+app.put(
+  "/employees/:code",
+  requireRole("operator"),
+  requireDirectory,
+  audit("employees.update"),
+  async (req, res) => {
+    try {
+      if (!syncService.directory.get(req.params.code)) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown employee: ${req.params.code}`,
+        });
+      }
+
+      const result = await syncService.directory.update(
+        req.params.code,
+        req.body || {}
+      );
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+      res.json({
+        success: true,
+        message: "Employee updated",
+        employee: result.employee,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+app.delete(
+  "/employees/:code",
+  requireRole("operator"),
+  requireDirectory,
+  audit("employees.delete"),
+  async (req, res) => {
+    try {
+      if (!syncService.directory.get(req.params.code)) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown employee: ${req.params.code}`,
+        });
+      }
+
+      await syncService.directory.remove(req.params.code);
+      res.json({
+        success: true,
+        message: "Employee removed",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Give an RFID card to an employee from a date ({ rfid, from }); the
+ * card's previous holder and the employee's previous card end the day
+ * before
+ */
+app.post(
+  "/employees/:code/cards",
+  requireRole("operator"),
+  requireDirectory,
+  audit("employees.assign_card"),
+  async (req, res) => {
+    try {
+      if (!syncService.directory.get(req.params.code)) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown employee: ${req.params.code}`,
+        });
+      }
+
+      const { rfid, from } = req.body || {};
+      if (!rfid || !from || !EmployeeDirectory.DATE_PATTERN.test(from)) {
+        return res.status(400).json({
+          success: false,
+          message: "rfid and from (YYYY-MM-DD) are required",
+        });
+      }
+
+      const result = await syncService.directory.assignCard(req.params.code, {
+        rfid,
+        from,
+      });
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+      res.json({
+        success: true,
+        message: `Card ${rfid} assigned from ${from}`,
+        employee: result.employee,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Initialize and start server
+ */
+async function startServer() {
+  try {
+    logger.info("Starting TIPSOI Attendance Sync Server");
+
+    // Initialize sync service
+    syncService = new SyncService({ auditLog });
+    await syncService.initialize();
+
+    logger.info("Services initialized");
+
+    const authStatus = getAuthStatus();
+    if (authStatus.disabled) {
+      logger.warn("AUTH_DISABLED=true - control endpoints are open");
+    } else if (!authStatus.apiKeys && !authStatus.jwt) {
+      logger.warn(
+        "No API_KEYS or JWT_SECRET configured - all endpoints except /health will reject requests"
+      );
+    }
+
+    // Start the cron job automatically
+    try {
+      syncService.startCronJob({ source: "startup" });
+      logger.info("Automatic sync started");
+    } catch (error) {
+      logger.warn(
+        "Could not start automatic sync; start it with POST /cron/start",
+        { error }
+      );
+    }
+
+    // Start Express server
+    app.listen(port, () => {
+      logger.info("Server running", {
+        url: `http://localhost:${port}`,
+        syncInterval: syncService.syncInterval,
+      });
+      logger.debug("API endpoints", { endpoints: ENDPOINTS });
+    });
+  } catch (error) {
+    logger.error("Failed to start server", {
+      error,
+      hints: [
+        "Check your .env file configuration",
+        "Ensure Google Sheets service account key is valid",
+        "Verify TIPSOI API token and URL",
+        "Check network connectivity",
+      ],
+    });
+    process.exit(1);
+  }
+}
+
+// Handle graceful shutdown
+process.on("SIGTERM", () => {
+  logger.info("Received SIGTERM, shutting down");
+  if (syncService) {
+    syncService.stopCronJob({ source: "shutdown", signal: "SIGTERM" });
+  }
+  process.exit(0);
+});
+
+process.on("SIGINT", () => {
+  logger.info("Received SIGINT, shutting down");
+  if (syncService) {
+    syncService.stopCronJob({ source: "shutdown", signal: "SIGINT" });
+  }
+  process.exit(0);
+});
+
+// Handle uncaught exceptions
+process.on("uncaughtException", (error) => {
+  logger.error("Uncaught exception", { error, stack: error.stack });
+  process.exit(1);
+});
+
+process.on("unhandledRejection", (reason) => {
+  logger.error("Unhandled rejection", {
+    error: reason,
+    stack: reason && reason.stack,
+  });
   process.exit(1);
 });
 
@@ -0,0 +1,89 @@
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+/**
+ * "YYYY-MM-DD HH:MM:SS" (project local time) to epoch milliseconds, treating
+ * the value as UTC so differences between two such values are right
+ */
+function toMillis(value) {
+  return Date.parse(`${String(value).replace(" ", "T")}Z`);
+}
+
+function addDays(date, days) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().slice(0, 10);
+}
+
+function parseClock(value, field, label) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ""));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`${label}: activeHours.${field} must be HH:MM`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Parse { start: "HH:MM", end: "HH:MM", days: [...] } (every day when days
+ * is left out). `label` prefixes error messages.
+ */
+function parseHours(hours, label) {
+  const days = (hours.days || WEEKDAYS).map((day) => String(day).toLowerCase());
+  days.forEach((day) => {
+    if (!WEEKDAYS.includes(day)) {
+      throw new Error(`${label}: unknown day "${day}"`);
+    }
+  });
+
+  return {
+    start: parseClock(hours.start, "start", label),
+    end: parseClock(hours.end, "end", label),
+    startText: hours.start,
+    endText: hours.end,
+    days,
+  };
+}
+
+/**
+ * Minutes since the active hours started, or null outside them. `now` is
+ * "YYYY-MM-DD HH:MM:SS" in the project's timezone.
+ */
+function minutesIntoActiveHours(hours, now) {
+  const date = now.slice(0, 10);
+  const minutes = Number(now.slice(11, 13)) * 60 + Number(now.slice(14, 16));
+  const weekday = (day) => WEEKDAYS[new Date(`${day}T00:00:00Z`).getUTCDay()];
+
+  if (hours.start < hours.end) {
+    return hours.days.includes(weekday(date)) &&
+      minutes >= hours.start &&
+      minutes < hours.end
+      ? minutes - hours.start
+      : null;
+  }
+
+  // Overnight hours belong to the day they start
+  if (minutes >= hours.start) {
+    return hours.days.includes(weekday(date)) ? minutes - hours.start : null;
+  }
+  if (minutes < hours.end) {
+    return hours.days.includes(weekday(addDays(date, -1)))
+      ? minutes + 24 * 60 - hours.start
+      : null;
+  }
+  return null;
+}
+
+module.exports = {
+  WEEKDAYS,
+  toMillis,
+  addDays,
+  parseHours,
+  minutesIntoActiveHours,
+};
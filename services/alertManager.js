@@ -0,0 +1,345 @@
+const fs = require("fs");
+const path = require("path");
+const { readConfigFile } = require("./configFile");
+const { createNotifiers } = require("./notifiers");
+const {
+  toMillis,
+  parseHours,
+  minutesIntoActiveHours,
+} = require("./activeHours");
+const logger = require("./logger");
+
+const MAX_RECENT_ALERTS = 100;
+
+/**
+ * Alerts about sync health, sent to the notifiers in ALERTS_CONFIG
+ * (JSON/YAML) after every cron or manual sync:
+ *
+ *   sync_failures   N consecutive failed syncs of a project
+ *   no_records      nothing received for a while during working hours
+ *   checkpoint_lag  the checkpoint (newest sync_time seen) too far behind
+ *
+ * An alert fires once and sends a "resolved" notice when the condition
+ * clears. Per-project state is kept in ALERT_STATE_PATH.
+ *
+ * Example alerts.yml:
+ *
+ *   notifiers:
+ *     - type: slack
+ *       url: https://hooks.slack.com/services/...
+ *     - type: email
+ *       to: [ops@example.com]
+ *   rules:
+ *     consecutiveFailures: 3
+ *     activeHours:
+ *       start: "08:00"
+ *       end: "20:00"
+ *       days: [sunday, monday, tuesday, wednesday, thursday]
+ *     noRecordsMinutes: 60
+ *     checkpointLagMinutes: 120
+ */
+class AlertManager {
+  constructor(config = {}, options = {}) {
+    this.notifiers = createNotifiers(config.notifiers || []);
+    const rules = config.rules || {};
+    this.consecutiveFailures =
+      rules.consecutiveFailures !== undefined ? rules.consecutiveFailures : 3;
+    this.activeHours = rules.activeHours
+      ? parseHours(rules.activeHours, "Alerts")
+      : null;
+    this.noRecordsMinutes = rules.noRecordsMinutes || null;
+    this.checkpointLagMinutes = rules.checkpointLagMinutes || null;
+    if (this.noRecordsMinutes && !this.activeHours) {
+      throw new Error("Alerts: noRecordsMinutes needs activeHours");
+    }
+
+    this.statePath =
+      options.statePath || process.env.ALERT_STATE_PATH || "./data/alerts.json";
+    this.state = fs.existsSync(this.statePath)
+      ? JSON.parse(fs.readFileSync(this.statePath, "utf8"))
+      : {};
+    this.recent = [];
+    this.pending = new Set();
+  }
+
+  /**
+   * Load alerting from a config file (default ALERTS_CONFIG); disabled
+   * when none is set
+   */
+  static fromFile(configPath = process.env.ALERTS_CONFIG) {
+    return new AlertManager(configPath ? readConfigFile(configPath) : {});
+  }
+
+  get enabled() {
+    return this.notifiers.length > 0;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+    const tmpPath = `${this.statePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmpPath, this.statePath);
+  }
+
+  projectState(projectKey) {
+    return (
+      this.state[projectKey] ||
+      (this.state[projectKey] = {
+        consecutiveFailures: 0,
+        lastError: null,
+        lastRecordsAt: null,
+        active: {},
+      })
+    );
+  }
+
+  /**
+   * Update a project's state after a sync and send what fired or cleared.
+   * `now` and `checkpoint` are "YYYY-MM-DD HH:MM:SS" in the project's
+   * timezone. Returns the alerts.
+   */
+  check({ project, result, now, checkpoint }) {
+    if (!this.enabled || result.skipped) {
+      return [];
+    }
+
+    const state = this.projectState(project);
+    const alerts = [];
+
+    if (result.success) {
+      state.consecutiveFailures = 0;
+      state.lastError = null;
+      this.resolve(
+        alerts,
+        project,
+        "sync_failures",
+        "Syncs are succeeding again"
+      );
+    } else {
+      state.consecutiveFailures += 1;
+      state.lastError = result.message;
+      if (
+        this.consecutiveFailures > 0 &&
+        state.consecutiveFailures >= this.consecutiveFailures
+      ) {
+        this.fire(
+          alerts,
+          project,
+          "sync_failures",
+          `${state.consecutiveFailures} consecutive sync failures`,
+          { lastError: result.message }
+        );
+      }
+    }
+
+    const intoHours = this.activeHours
+      ? minutesIntoActiveHours(this.activeHours, now)
+      : null;
+
+    // A failed fetch says nothing about whether records are coming in
+    if (result.success && result.recordsFetched > 0) {
+      this.receivedRecords(alerts, project, now);
+    } else if (result.success && this.noRecordsMinutes && intoHours !== null) {
+      const quietMinutes = state.lastRecordsAt
+        ? Math.min(
+            intoHours,
+            (toMillis(now) - toMillis(state.lastRecordsAt)) / 60000
+          )
+        : intoHours;
+      if (quietMinutes >= this.noRecordsMinutes) {
+        this.fire(
+          alerts,
+          project,
+          "no_records",
+          `No records received for ${Math.round(
+            quietMinutes
+          )} minutes during working hours`,
+          { lastRecordsAt: state.lastRecordsAt }
+        );
+      }
+    }
+
+    // Only checked during working hours when they are set, as the
+    // checkpoint stands still while nobody punches
+    if (
+      this.checkpointLagMinutes &&
+      checkpoint &&
+      (!this.activeHours || intoHours !== null)
+    ) {
+      const lagMinutes = (toMillis(now) - toMillis(checkpoint)) / 60000;
+      if (lagMinutes >= this.checkpointLagMinutes) {
+        this.fire(
+          alerts,
+          project,
+          "checkpoint_lag",
+          `Checkpoint is ${Math.round(lagMinutes)} minutes behind`,
+          { checkpoint }
+        );
+      } else {
+        this.resolve(
+          alerts,
+          project,
+          "checkpoint_lag",
+          "Checkpoint has caught up"
+        );
+      }
+    }
+
+    this.save();
+    alerts.forEach((alert) => this.enqueue(alert));
+    return alerts;
+  }
+
+  /**
+   * Records were pushed to a project (POST /ingest/tipsoi)
+   */
+  noteRecords(project, now) {
+    if (!this.enabled) {
+      return;
+    }
+    const alerts = [];
+    this.receivedRecords(alerts, project, now);
+    this.save();
+    alerts.forEach((alert) => this.enqueue(alert));
+  }
+
+  receivedRecords(alerts, project, now) {
+    this.projectState(project).lastRecordsAt = now;
+    this.resolve(alerts, project, "no_records", "Records are coming in again");
+  }
+
+  /**
+   * Start an alert unless it is already firing
+   */
+  fire(alerts, project, type, summary, details) {
+    const state = this.projectState(project);
+    if (state.active[type]) {
+      return;
+    }
+    state.active[type] = { since: new Date().toISOString(), summary };
+    alerts.push(this.createAlert(type, project, "firing", summary, details));
+  }
+
+  /**
+   * Clear a firing alert with a recovery notice
+   */
+  resolve(alerts, project, type, summary) {
+    const state = this.projectState(project);
+    const active = state.active[type];
+    if (!active) {
+      return;
+    }
+    delete state.active[type];
+    alerts.push(
+      this.createAlert(type, project, "resolved", summary, {
+        firingSince: active.since,
+      })
+    );
+  }
+
+  createAlert(type, project, state, summary, details = {}) {
+    return {
+      type,
+      project,
+      state,
+      summary,
+      details,
+      at: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Send to every notifier in the background
+   */
+  enqueue(alert) {
+    logger[alert.state === "firing" ? "warn" : "info"]("Alert", alert);
+    const delivery = this.send(alert).finally(() =>
+      this.pending.delete(delivery)
+    );
+    this.pending.add(delivery);
+  }
+
+  /**
+   * Send one alert to every notifier; returns a result per notifier
+   */
+  async send(alert) {
+    const results = await Promise.all(
+      this.notifiers.map(async (notifier) => {
+        try {
+          await notifier.send(alert);
+          return { notifier: notifier.name, success: true };
+        } catch (error) {
+          logger.error("Alert notification failed", {
+            notifier: notifier.name,
+            alert: alert.type,
+            error,
+          });
+          return {
+            notifier: notifier.name,
+            success: false,
+            message: error.message,
+          };
+        }
+      })
+    );
+
+    this.recent.push({ ...alert, results });
+    if (this.recent.length > MAX_RECENT_ALERTS) {
+      this.recent.shift();
+    }
+    return results;
+  }
+
+  /**
+   * Send a test alert to every notifier and wait for the results
+   */
+  async sendTest() {
+    return this.send(
+      this.createAlert(
+        "test",
+        null,
+        "firing",
+        "Test alert from TIPSOI Attendance Sync"
+      )
+    );
+  }
+
+  /**
+   * Firing alerts per project
+   */
+  getActive() {
+    return Object.entries(this.state).flatMap(([project, state]) =>
+      Object.entries(state.active).map(([type, active]) => ({
+        type,
+        project,
+        ...active,
+      }))
+    );
+  }
+
+  getRecent(limit = 20) {
+    return this.recent.slice(-limit).reverse();
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      notifiers: this.notifiers.map((notifier) => notifier.getStatus()),
+      rules: {
+        consecutiveFailures: this.consecutiveFailures,
+        activeHours: this.activeHours
+          ? {
+              start: this.activeHours.startText,
+              end: this.activeHours.endText,
+              days: this.activeHours.days,
+            }
+          : null,
+        noRecordsMinutes: this.noRecordsMinutes,
+        checkpointLagMinutes: this.checkpointLagMinutes,
+      },
+      active: this.getActive().length,
+    };
+  }
+}
+
+module.exports = AlertManager;
@@ -0,0 +1,60 @@
+/**
+ * The attendance layout shared by the Google Sheet and the CSV / XLSX
+ * exports. The employee columns were added after the first 13; existing
+ * sheets get their header row extended.
+ */
+const ATTENDANCE_HEADERS = [
+  "UID",
+  "Sync Time",
+  "Logged Time",
+  "Type",
+  "Device ID",
+  "Location",
+  "Person ID",
+  "RFID",
+  "Primary Display",
+  "Secondary Display",
+  "Project Code",
+  "Project Name",
+  "Organization",
+  "Employee Code",
+  "Employee Name",
+  "Department",
+  "Employee Status",
+];
+
+// Last column letter of the layout (Q)
+const LAST_ATTENDANCE_COLUMN = String.fromCharCode(
+  "A".charCodeAt(0) + ATTENDANCE_HEADERS.length - 1
+);
+
+/**
+ * Convert a processed attendance record to a row in that layout
+ */
+function toAttendanceRow(record) {
+  return [
+    record.uid,
+    record.sync_time,
+    record.logged_time,
+    record.type,
+    record.device_identifier,
+    record.location,
+    record.person_identifier,
+    record.rfid || "",
+    record.primary_display_text,
+    record.secondary_display_text,
+    record.project?.code || "",
+    record.project?.name || "",
+    record.project?.organization || "",
+    record.employee_code || "",
+    record.employee_name || "",
+    record.department || "",
+    record.employee_status || "",
+  ];
+}
+
+module.exports = {
+  ATTENDANCE_HEADERS,
+  LAST_ATTENDANCE_COLUMN,
+  toAttendanceRow,
+};
@@ -0,0 +1,125 @@
+/**
+ * Filtering, sorting and cursor pagination over processed attendance
+ * records, for the read-only GET /data query API.
+ *
+ * Cursors are keyset based: they hold the sort value and uid of the last
+ * record returned, so a page stays stable even if the time window moves or
+ * new records arrive between requests.
+ */
+
+const FILTER_FIELDS = [
+  "person_identifier",
+  "device_identifier",
+  "type",
+  "location",
+];
+
+const SORT_FIELDS = [
+  "logged_time",
+  "sync_time",
+  "person_identifier",
+  "device_identifier",
+  "uid",
+];
+
+/**
+ * Parse "logged_time" / "-logged_time" into { field, direction }
+ */
+function parseSort(value) {
+  const descending = value.startsWith("-");
+  const field = descending ? value.slice(1) : value;
+
+  if (!SORT_FIELDS.includes(field)) {
+    return null;
+  }
+  return { field, direction: descending ? -1 : 1 };
+}
+
+function encodeCursor(record, sort) {
+  return Buffer.from(
+    JSON.stringify([sort.field, String(record[sort.field] || ""), record.uid])
+  ).toString("base64url");
+}
+
+/**
+ * Decode a cursor for the given sort; null when it is malformed or was
+ * issued for a different sort field
+ */
+function decodeCursor(cursor, sort) {
+  try {
+    const [field, value, uid] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (field !== sort.field || typeof value !== "string" || !uid) {
+      return null;
+    }
+    return { value, uid: String(uid) };
+  } catch (error) {
+    return null;
+  }
+}
+
+function compareRecords(a, b, sort) {
+  const byField = String(a[sort.field] || "").localeCompare(
+    String(b[sort.field] || "")
+  );
+  // uid breaks ties so the order (and the cursor) is deterministic
+  return (
+    (byField || String(a.uid).localeCompare(String(b.uid))) * sort.direction
+  );
+}
+
+/**
+ * Keep records matching every filter. A filter value may list several
+ * accepted values separated by commas.
+ */
+function matchesFilters(record, filters) {
+  return FILTER_FIELDS.every((field) => {
+    if (filters[field] === undefined) {
+      return true;
+    }
+    const accepted = String(filters[field])
+      .split(",")
+      .map((value) => value.trim());
+    return accepted.includes(String(record[field] || ""));
+  });
+}
+
+/**
+ * Filter, sort and return one page of records after `cursor`
+ */
+function queryRecords(records, { filters = {}, sort, cursor = null, limit }) {
+  const matching = records
+    .filter((record) => matchesFilters(record, filters))
+    .sort((a, b) => compareRecords(a, b, sort));
+
+  const after = cursor
+    ? matching.filter(
+        (record) =>
+          compareRecords(
+            record,
+            { [sort.field]: cursor.value, uid: cursor.uid },
+            sort
+          ) > 0
+      )
+    : matching;
+
+  const page = after.slice(0, limit);
+  const hasMore = after.length > limit;
+
+  return {
+    records: page,
+    total: matching.length,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null,
+  };
+}
+
+module.exports = {
+  FILTER_FIELDS,
+  SORT_FIELDS,
+  parseSort,
+  decodeCursor,
+  matchesFilters,
+  queryRecords,
+};
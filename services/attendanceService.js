@@ -1,72 +1,141 @@
 const axios = require("axios");
+const RetryPolicy = require("./retryPolicy");
+const RecordRules = require("./recordRules");
+const logger = require("./logger");
 
 class AttendanceService {
-  constructor() {
-    this.baseUrl = process.env.TIPSOI_BASE_URL;
-    this.apiToken = process.env.TIPSOI_API_TOKEN;
-    this.perPage = process.env.PER_PAGE || 500;
-    this.lastSyncTime = null;
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || process.env.TIPSOI_BASE_URL;
+    this.apiToken = options.apiToken || process.env.TIPSOI_API_TOKEN;
+    this.perPage = options.perPage || process.env.PER_PAGE || 500;
+    this.maxPages = parseInt(process.env.MAX_PAGES, 10) || 1000;
+    this.timezone = options.timezone || process.env.TIPSOI_TIMEZONE || "UTC";
+    this.projectKey =
+      options.key || process.env.TIPSOI_PROJECT_KEY || "default";
+    // Reseller API filter: only keep records belonging to this project code
+    this.projectCode = options.projectCode || null;
+    this.fetchProgress = null;
+    this.retryPolicy =
+      options.retryPolicy ||
+      RetryPolicy.fromEnv("TIPSOI", "tipsoi", this.projectKey);
+    this.rules = options.rules || new RecordRules();
+    // Optional EmployeeDirectory used to add employee fields
+    this.directory = options.directory || null;
   }
 
   /**
-   * Format date to TIPSOI API format (YYYY-MM-DD HH:MM:SS)
+   * Format date to TIPSOI API format (YYYY-MM-DD HH:MM:SS) in the
+   * project timezone
    */
-  formatDateTime(date) {
-    return date.toISOString().slice(0, 19).replace("T", " ");
+  formatDateTime(date, timeZone = this.timezone) {
+    const parts = new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .reduce((acc, part) => {
+        acc[part.type] = part.value;
+        return acc;
+      }, {});
+
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
   }
 
   /**
-   * Get attendance data from TIPSOI API
+   * Parse a TIPSOI date string (YYYY-MM-DD HH:MM:SS) in the project
+   * timezone into a Date
    */
-  async getAttendanceData(startTime, endTime, criteria = "sync_time") {
-    try {
-      const currentYear = new Date().getFullYear();
-      const defaultStartTime = `${currentYear}-01-01T00:00:00`;
-      const defaultEndTime = `${currentYear + 1}-12-31T23:59:59`;
-
-      const params = {
-        start: defaultStartTime,
-        end: defaultEndTime,
-        api_token: this.apiToken,
-        per_page: this.perPage,
-        criteria: criteria,
-      };
+  parseDateTime(value, timeZone = this.timezone) {
+    const match = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/.exec(
+      value
+    );
+    if (!match) {
+      return new Date(value);
+    }
 
-      console.log(
-        `Fetching attendance data from ${startTime.toISOString()} to ${endTime.toISOString()}`
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    // Shift by the timezone offset at that instant
+    const zoned = this.formatDateTime(new Date(asUtc), timeZone);
+    const offset = Date.parse(`${zoned.replace(" ", "T")}Z`) - asUtc;
+    return new Date(asUtc - offset);
+  }
+
+  /**
+   * Normalize a Date or date string to TIPSOI format
+   */
+  toTipsoiDateTime(value) {
+    if (
+      typeof value === "string" &&
+      /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)
+    ) {
+      return value;
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+    return this.formatDateTime(date);
+  }
+
+  /**
+   * Get the highest sync_time in a set of records (the sync high-water mark)
+   */
+  getHighWaterMark(records) {
+    return records.reduce(
+      (max, record) =>
+        record.sync_time && (!max || record.sync_time > max)
+          ? record.sync_time
+          : max,
+      null
+    );
+  }
+
+  /**
+   * Validate the query criteria (sync_time or logged_time)
+   */
+  validateCriteria(criteria) {
+    if (!AttendanceService.CRITERIA.includes(criteria)) {
+      throw new Error(
+        `Invalid criteria "${criteria}". Use one of: ${AttendanceService.CRITERIA.join(
+          ", "
+        )}`
       );
+    }
+    return criteria;
+  }
 
-      const response = await axios.get(this.baseUrl, {
-        params,
-        timeout: 30000, // 30 second timeout
-        headers: {
-          Accept: "application/json",
-          "User-Agent": "TIPSOI-Attendance-Sync/1.0",
-        },
-      });
+  /**
+   * Fetch a single page of attendance data from TIPSOI API
+   */
+  async fetchAttendancePage(params) {
+    try {
+      const response = await this.retryPolicy.execute(
+        () =>
+          axios.get(this.baseUrl, {
+            params,
+            timeout: 30000, // 30 second timeout
+            headers: {
+              Accept: "application/json",
+              "User-Agent": "TIPSOI-Attendance-Sync/1.0",
+            },
+          }),
+        `fetch page ${params.page || 1}`
+      );
 
       if (response.status !== 200) {
         throw new Error(`API request failed with status: ${response.status}`);
       }
 
-      const data = response.data;
-
-      if (!data.data) {
-        console.warn("No data field in API response");
-        return {
-          records: [],
-          meta: data.meta || {},
-          project: data.project || {},
-        };
-      }
-
-      console.log(`Fetched ${data.data.length} attendance records`);
-      return {
-        records: data.data,
-        meta: data.meta || {},
-        project: data.project || {},
-        links: data.links || {},
-      };
+      return response.data;
     } catch (error) {
       if (error.code === "ECONNABORTED") {
         throw new Error(
@@ -88,60 +157,257 @@ class AttendanceService {
   }
 
   /**
-   * Get recent attendance data (since last sync or last 24 hours)
+   * Iterate over every page of attendance data from TIPSOI API.
+   * Yields one page at a time until `links.next` is exhausted or
+   * `meta.last_page` is reached. When MAX_PAGES stops it early, the last
+   * page yielded has `truncated` set.
    */
-  async getRecentAttendanceData() {
+  async *iterateAttendancePages(startTime, endTime, criteria = "sync_time") {
+    this.validateCriteria(criteria);
+
+    const params = {
+      start: this.formatDateTime(startTime),
+      end: this.formatDateTime(endTime),
+      api_token: this.apiToken,
+      per_page: this.perPage,
+      criteria: criteria,
+    };
+
+    logger.info("Fetching attendance data", {
+      project: this.projectKey,
+      criteria,
+      start: params.start,
+      end: params.end,
+      timezone: this.timezone,
+    });
+
+    let page = 1;
+    let lastPage = null;
+
+    while (page <= this.maxPages) {
+      const data = await this.fetchAttendancePage({ ...params, page });
+      const meta = data.meta || {};
+      const links = data.links || {};
+      const records = Array.isArray(data.data) ? data.data : [];
+
+      if (!data.data) {
+        logger.warn("No data field in API response", {
+          project: this.projectKey,
+          page,
+        });
+      }
+
+      lastPage = Number(meta.last_page) || lastPage || page;
+      logger.debug("Fetched attendance page", {
+        project: this.projectKey,
+        page,
+        lastPage,
+        records: records.length,
+      });
+
+      const hasNext =
+        (links.next ? true : page < lastPage) && records.length > 0;
+      const truncated = hasNext && page >= this.maxPages;
+      if (truncated) {
+        logger.warn(
+          "Stopped at MAX_PAGES; remaining records were not fetched",
+          {
+            project: this.projectKey,
+            maxPages: this.maxPages,
+          }
+        );
+      }
+
+      yield {
+        records,
+        meta,
+        project: data.project || {},
+        links,
+        page,
+        lastPage,
+        truncated,
+      };
+
+      if (!hasNext) {
+        return;
+      }
+
+      page++;
+    }
+  }
+
+  /**
+   * Project code of a record returned by the reseller API
+   */
+  getRecordProjectCode(record) {
+    if (record.project && typeof record.project === "object") {
+      return record.project.code;
+    }
+    return record.project_code || record.project || null;
+  }
+
+  /**
+   * Keep only the records for this project when a reseller filter is set
+   */
+  filterProjectRecords(records) {
+    if (!this.projectCode) {
+      return records;
+    }
+    return records.filter(
+      (record) => this.getRecordProjectCode(record) === this.projectCode
+    );
+  }
+
+  /**
+   * Get attendance data from TIPSOI API, following every page. `truncated`
+   * is set when MAX_PAGES left records unfetched.
+   */
+  async getAttendanceData(startTime, endTime, criteria = "sync_time") {
+    const records = [];
+    let meta = {};
+    let project = {};
+    let links = {};
+    let pagesFetched = 0;
+    let lastPage = 0;
+    let truncated = false;
+
+    for await (const page of this.iterateAttendancePages(
+      startTime,
+      endTime,
+      criteria
+    )) {
+      records.push(...this.filterProjectRecords(page.records));
+      meta = page.meta;
+      links = page.links;
+      pagesFetched = page.page;
+      lastPage = page.lastPage;
+      truncated = page.truncated;
+      if (page.project && Object.keys(page.project).length > 0) {
+        project = page.project;
+      }
+
+      this.fetchProgress = {
+        page: page.page,
+        lastPage: page.lastPage,
+        recordsFetched: records.length,
+        updatedAt: new Date(),
+      };
+    }
+
+    logger.info("Fetched attendance data", {
+      project: this.projectKey,
+      records: records.length,
+      pages: pagesFetched,
+    });
+    return {
+      records,
+      meta,
+      project,
+      links,
+      pagesFetched,
+      lastPage,
+      truncated,
+    };
+  }
+
+  /**
+   * Get recent attendance data (since the given checkpoint or last 24 hours).
+   * Does not move the checkpoint; callers advance it once the records are
+   * safely written.
+   */
+  async getRecentAttendanceData(options = {}) {
+    const { since = null, criteria = "sync_time" } = options;
     const endTime = new Date();
     let startTime;
 
-    if (this.lastSyncTime) {
-      // Get data since last sync
-      startTime = new Date(this.lastSyncTime);
+    if (since) {
+      // Get data since last successful sync
+      startTime = this.parseDateTime(since);
     } else {
       // First run - get data from last 24 hours
       startTime = new Date(endTime.getTime() - 24 * 60 * 60 * 1000);
     }
 
-    const result = await this.getAttendanceData(startTime, endTime);
+    const result = await this.getAttendanceData(startTime, endTime, criteria);
 
-    // Update last sync time
-    this.lastSyncTime = endTime;
-
-    return result;
+    return {
+      ...result,
+      window: { start: startTime, end: endTime },
+    };
   }
 
   /**
    * Get attendance data for a specific date range
    */
-  async getAttendanceDataForRange(startDate, endDate) {
-    return await this.getAttendanceData(startDate, endDate);
+  async getAttendanceDataForRange(startDate, endDate, criteria = "sync_time") {
+    return await this.getAttendanceData(startDate, endDate, criteria);
+  }
+
+  /**
+   * Run the validation/transformation rules over a record; returns the
+   * transformed record and why it is invalid (empty when it is valid)
+   */
+  applyRules(record, options) {
+    return this.rules.apply(record, options);
+  }
+
+  /**
+   * Why a record fails validation (empty when it is valid)
+   */
+  getValidationErrors(record) {
+    return this.applyRules(record, { count: false }).errors;
   }
 
   /**
    * Validate attendance record structure
    */
   validateAttendanceRecord(record) {
-    const requiredFields = [
-      "uid",
-      "sync_time",
-      "logged_time",
-      "type",
-      "device_identifier",
-      "person_identifier",
-    ];
-
-    for (const field of requiredFields) {
-      if (!record[field]) {
-        return false;
-      }
-    }
+    return this.getValidationErrors(record).length === 0;
+  }
 
-    // Validate attendance type
-    if (!["card", "fingerprint", "face"].includes(record.type)) {
-      return false;
+  /**
+   * Fill in defaults, attach the project and add employee fields to a
+   * valid record
+   */
+  normalizeRecord(record, project = {}) {
+    const normalized = {
+      ...record,
+      // Reseller records carry their own project, fall back to the response's
+      project:
+        record.project && typeof record.project === "object"
+          ? record.project
+          : project,
+      // Ensure all fields have default values
+      rfid: record.rfid || "",
+      location: record.location || "",
+      primary_display_text: record.primary_display_text || "",
+      secondary_display_text: record.secondary_display_text || "",
+    };
+    return this.directory && this.directory.enabled
+      ? this.directory.enrich(normalized)
+      : normalized;
+  }
+
+  /**
+   * Split records into processed valid records and rejects, with the
+   * reasons each reject failed validation. Rule hits are counted unless
+   * `count` is false.
+   */
+  partitionAttendanceRecords(records, project = {}, options = {}) {
+    const valid = [];
+    const rejected = [];
+
+    for (const record of records) {
+      const result = this.applyRules(record, options);
+      if (result.errors.length > 0) {
+        // The original is kept so a replay runs the rules again
+        rejected.push({ record, reasons: result.errors });
+      } else {
+        valid.push(this.normalizeRecord(result.record, project));
+      }
     }
 
-    return true;
+    return { valid, rejected };
   }
 
   /**
@@ -149,33 +415,21 @@ class AttendanceService {
    */
   processAttendanceRecords(records, project = {}) {
     if (!Array.isArray(records)) {
-      console.warn("Invalid records format - expected array");
+      logger.warn("Invalid records format - expected array");
       return [];
     }
 
-    const processedRecords = records
-      .filter((record) => this.validateAttendanceRecord(record))
-      .map((record) => ({
-        ...record,
-        project: project,
-        // Ensure all fields have default values
-        rfid: record.rfid || "",
-        location: record.location || "",
-        primary_display_text: record.primary_display_text || "",
-        secondary_display_text: record.secondary_display_text || "",
-      }));
-
-    console.log(
-      `Processed ${processedRecords.length} valid records out of ${records.length} total`
-    );
+    // Used for reads (queries, exports, reports), which don't count as
+    // rule hits
+    const processedRecords = this.partitionAttendanceRecords(records, project, {
+      count: false,
+    }).valid;
 
-    if (processedRecords.length !== records.length) {
-      console.warn(
-        `Filtered out ${
-          records.length - processedRecords.length
-        } invalid records`
-      );
-    }
+    logger.debug("Processed attendance records", {
+      project: this.projectKey,
+      valid: processedRecords.length,
+      total: records.length,
+    });
 
     return processedRecords;
   }
@@ -213,7 +467,12 @@ class AttendanceService {
       baseUrl: this.baseUrl,
       hasToken: !!this.apiToken,
       perPage: this.perPage,
-      lastSyncTime: this.lastSyncTime,
+      timezone: this.timezone,
+      maxPages: this.maxPages,
+      projectKey: this.projectKey,
+      projectCode: this.projectCode,
+      retryPolicy: this.retryPolicy.getStatus(),
+      fetchProgress: this.fetchProgress,
       tokenPreview: this.apiToken
         ? `${this.apiToken.slice(0, 8)}...`
         : "Not set",
@@ -221,4 +480,6 @@ class AttendanceService {
   }
 }
 
+AttendanceService.CRITERIA = ["sync_time", "logged_time"];
+
 module.exports = AttendanceService;
@@ -0,0 +1,136 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+
+const SENSITIVE_KEY = /secret|token|password|api_?key/i;
+
+/**
+ * Append-only audit trail stored as JSONL, rotated by size
+ * (audit.jsonl -> audit.jsonl.1 -> ... -> audit.jsonl.N).
+ */
+class AuditLog {
+  constructor(options = {}) {
+    this.filePath =
+      options.path || process.env.AUDIT_LOG_PATH || "./data/audit.jsonl";
+    this.maxBytes =
+      options.maxBytes ||
+      parseInt(process.env.AUDIT_LOG_MAX_BYTES, 10) ||
+      10 * 1024 * 1024;
+    this.maxFiles =
+      options.maxFiles || parseInt(process.env.AUDIT_LOG_MAX_FILES, 10) || 5;
+  }
+
+  /**
+   * Replace values of sensitive-looking keys before they are stored
+   */
+  redact(value) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.redact(item));
+    }
+    if (value && typeof value === "object" && !(value instanceof Date)) {
+      return Object.keys(value).reduce((acc, key) => {
+        acc[key] = SENSITIVE_KEY.test(key)
+          ? "[REDACTED]"
+          : this.redact(value[key]);
+        return acc;
+      }, {});
+    }
+    return value;
+  }
+
+  rotate() {
+    if (
+      !fs.existsSync(this.filePath) ||
+      fs.statSync(this.filePath).size < this.maxBytes
+    ) {
+      return;
+    }
+
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      const from = `${this.filePath}.${index}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${this.filePath}.${index + 1}`);
+      }
+    }
+    fs.renameSync(this.filePath, `${this.filePath}.1`);
+
+    const oldest = `${this.filePath}.${this.maxFiles}`;
+    if (fs.existsSync(oldest)) {
+      fs.unlinkSync(oldest);
+    }
+  }
+
+  /**
+   * Append an entry. Audit failures are logged but never break the
+   * operation being audited.
+   */
+  record(entry) {
+    const line = {
+      timestamp: new Date().toISOString(),
+      actor: { id: "system" },
+      ...this.redact(entry),
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.rotate();
+      fs.appendFileSync(this.filePath, `${JSON.stringify(line)}\n`);
+    } catch (error) {
+      logger.error("Failed to write audit log entry", { error });
+    }
+    return line;
+  }
+
+  /**
+   * Files holding entries, newest first
+   */
+  getFiles() {
+    const files = [this.filePath];
+    for (let index = 1; index < this.maxFiles; index++) {
+      files.push(`${this.filePath}.${index}`);
+    }
+    return files.filter((file) => fs.existsSync(file));
+  }
+
+  /**
+   * Search entries, newest first
+   */
+  search(filters = {}) {
+    const { from, to, action, actor, limit = 100 } = filters;
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    const results = [];
+
+    for (const file of this.getFiles()) {
+      const lines = fs.readFileSync(file, "utf8").split("\n").reverse();
+
+      for (const line of lines) {
+        if (!line) {
+          continue;
+        }
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          continue;
+        }
+
+        const time = new Date(entry.timestamp).getTime();
+        if (fromTime !== null && time < fromTime) continue;
+        if (toTime !== null && time > toTime) continue;
+        if (action && !entry.action.startsWith(action)) continue;
+        if (actor && entry.actor?.id !== actor) continue;
+
+        results.push(entry);
+        if (results.length >= limit) {
+          return results;
+        }
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = AuditLog;
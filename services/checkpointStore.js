@@ -0,0 +1,183 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Checkpoint stores hold the last successful `sync_time` high-water mark
+ * per project. Values are kept in TIPSOI format (YYYY-MM-DD HH:MM:SS, in
+ * the project timezone), which sorts lexically.
+ *
+ * Every store implements:
+ *   async get(projectKey)            -> checkpoint or null
+ *   async getAll()                   -> { [projectKey]: checkpoint }
+ *   async advance(projectKey, time)  -> checkpoint (never moves backwards)
+ *   async set(projectKey, time)      -> checkpoint (used to rewind / clear)
+ */
+
+/**
+ * JSON file checkpoint store (default)
+ */
+class JsonFileCheckpointStore {
+  constructor(filePath) {
+    this.type = "json";
+    this.filePath = filePath;
+  }
+
+  read() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+  }
+
+  write(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  async get(projectKey) {
+    return this.read()[projectKey] || null;
+  }
+
+  async getAll() {
+    return this.read();
+  }
+
+  async advance(projectKey, syncTime) {
+    const data = this.read();
+    const current = data[projectKey];
+
+    if (current && current.syncTime && current.syncTime >= syncTime) {
+      return current;
+    }
+
+    data[projectKey] = { syncTime, updatedAt: new Date().toISOString() };
+    this.write(data);
+    return data[projectKey];
+  }
+
+  async set(projectKey, syncTime) {
+    const data = this.read();
+
+    if (syncTime === null) {
+      delete data[projectKey];
+      this.write(data);
+      return null;
+    }
+
+    data[projectKey] = { syncTime, updatedAt: new Date().toISOString() };
+    this.write(data);
+    return data[projectKey];
+  }
+}
+
+/**
+ * SQLite checkpoint store (requires the optional better-sqlite3 package)
+ */
+class SqliteCheckpointStore {
+  constructor(filePath) {
+    this.type = "sqlite";
+    this.filePath = filePath;
+
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch (error) {
+      throw new Error(
+        "SQLite checkpoint store requires the better-sqlite3 package (npm install better-sqlite3)"
+      );
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.db = new Database(filePath);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS sync_checkpoints (
+        project_key TEXT PRIMARY KEY,
+        sync_time TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  toCheckpoint(row) {
+    return row ? { syncTime: row.sync_time, updatedAt: row.updated_at } : null;
+  }
+
+  async get(projectKey) {
+    const row = this.db
+      .prepare("SELECT * FROM sync_checkpoints WHERE project_key = ?")
+      .get(projectKey);
+    return this.toCheckpoint(row);
+  }
+
+  async getAll() {
+    const rows = this.db.prepare("SELECT * FROM sync_checkpoints").all();
+    return rows.reduce((acc, row) => {
+      acc[row.project_key] = this.toCheckpoint(row);
+      return acc;
+    }, {});
+  }
+
+  async advance(projectKey, syncTime) {
+    this.db
+      .prepare(
+        `INSERT INTO sync_checkpoints (project_key, sync_time, updated_at)
+         VALUES (?, ?, ?)
+         ON CONFLICT(project_key) DO UPDATE SET
+           sync_time = excluded.sync_time,
+           updated_at = excluded.updated_at
+         WHERE excluded.sync_time > sync_checkpoints.sync_time`
+      )
+      .run(projectKey, syncTime, new Date().toISOString());
+    return this.get(projectKey);
+  }
+
+  async set(projectKey, syncTime) {
+    if (syncTime === null) {
+      this.db
+        .prepare("DELETE FROM sync_checkpoints WHERE project_key = ?")
+        .run(projectKey);
+      return null;
+    }
+
+    this.db
+      .prepare(
+        `INSERT INTO sync_checkpoints (project_key, sync_time, updated_at)
+         VALUES (?, ?, ?)
+         ON CONFLICT(project_key) DO UPDATE SET
+           sync_time = excluded.sync_time,
+           updated_at = excluded.updated_at`
+      )
+      .run(projectKey, syncTime, new Date().toISOString());
+    return this.get(projectKey);
+  }
+}
+
+/**
+ * Create the checkpoint store configured by CHECKPOINT_STORE / CHECKPOINT_PATH
+ */
+function createCheckpointStore(options = {}) {
+  const type = options.type || process.env.CHECKPOINT_STORE || "json";
+
+  switch (type) {
+    case "json":
+      return new JsonFileCheckpointStore(
+        options.path || process.env.CHECKPOINT_PATH || "./data/checkpoints.json"
+      );
+    case "sqlite":
+      return new SqliteCheckpointStore(
+        options.path || process.env.CHECKPOINT_PATH || "./data/checkpoints.db"
+      );
+    default:
+      throw new Error(
+        `Unknown checkpoint store "${type}". Use "json" or "sqlite"`
+      );
+  }
+}
+
+module.exports = {
+  JsonFileCheckpointStore,
+  SqliteCheckpointStore,
+  createCheckpointStore,
+};
@@ -0,0 +1,25 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+/**
+ * Read a JSON or YAML configuration file (chosen by extension)
+ */
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Config file not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(filePath, "utf8");
+  const extension = path.extname(filePath).toLowerCase();
+
+  try {
+    return extension === ".yml" || extension === ".yaml"
+      ? yaml.load(content)
+      : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath}: ${error.message}`);
+  }
+}
+
+module.exports = { readConfigFile };
@@ -0,0 +1,311 @@
+const fs = require("fs");
+const path = require("path");
+const { readConfigFile } = require("./configFile");
+
+const {
+  WEEKDAYS,
+  toMillis,
+  addDays,
+  parseHours,
+  minutesIntoActiveHours,
+} = require("./activeHours");
+
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+const isDateTime = (value) =>
+  DATE_TIME_PATTERN.test(value) && !isNaN(toMillis(value));
+const isDate = (value) => isDateTime(`${value} 00:00:00`);
+
+/**
+ * The devices we own, from DEVICES_CONFIG (JSON/YAML), plus what each
+ * device has reported: last sync_time, daily punch counts and the lag
+ * between logged_time and sync_time. Activity is kept in
+ * DEVICE_STATE_PATH for DEVICE_HISTORY_DAYS days. Devices that aren't in
+ * the config are tracked too, but never alerted on.
+ *
+ * A registered device is "silent" when, inside its active hours, it has
+ * sent nothing for silentMinutes.
+ *
+ * Example devices.yml:
+ *
+ *   defaults:
+ *     activeHours:
+ *       start: "08:00"
+ *       end: "20:00"
+ *       days: [sunday, monday, tuesday, wednesday, thursday]
+ *     silentMinutes: 60
+ *   devices:
+ *     DEV1:
+ *       name: Main Gate
+ *       location: Head Office
+ *     DEV2:
+ *       name: Night Gate
+ *       location: Warehouse
+ *       activeHours:
+ *         start: "20:00"
+ *         end: "06:00"     # ends the next morning
+ */
+class DeviceRegistry {
+  constructor(config = {}, options = {}) {
+    const defaults = config.defaults || {};
+    this.defaultHours = defaults.activeHours
+      ? parseHours(defaults.activeHours, "Device defaults")
+      : null;
+    this.defaultSilentMinutes = defaults.silentMinutes || 60;
+
+    this.devices = new Map();
+    Object.entries(config.devices || {}).forEach(([id, device]) =>
+      this.devices.set(id, this.parseDevice(id, device || {}))
+    );
+
+    this.statePath =
+      options.statePath ||
+      process.env.DEVICE_STATE_PATH ||
+      "./data/devices.json";
+    this.historyDays =
+      options.historyDays ||
+      parseInt(process.env.DEVICE_HISTORY_DAYS, 10) ||
+      14;
+    this.activity = fs.existsSync(this.statePath)
+      ? JSON.parse(fs.readFileSync(this.statePath, "utf8"))
+      : {};
+  }
+
+  /**
+   * Load devices from a config file (default DEVICES_CONFIG); an empty
+   * registry (activity tracking only) when none is set
+   */
+  static fromFile(configPath = process.env.DEVICES_CONFIG) {
+    return new DeviceRegistry(configPath ? readConfigFile(configPath) : {});
+  }
+
+  get configured() {
+    return this.devices.size > 0;
+  }
+
+  parseDevice(id, device) {
+    return {
+      name: device.name || id,
+      location: device.location || "",
+      project: device.project || null,
+      activeHours: device.activeHours
+        ? parseHours(device.activeHours, `Device ${id}`)
+        : this.defaultHours,
+      silentMinutes: device.silentMinutes || this.defaultSilentMinutes,
+    };
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+    const tmpPath = `${this.statePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.activity, null, 2));
+    fs.renameSync(tmpPath, this.statePath);
+  }
+
+  /**
+   * Count newly written records against their devices
+   */
+  record(projectKey, records) {
+    if (records.length === 0) {
+      return;
+    }
+
+    records.forEach((record) => {
+      const id = record.device_identifier;
+      // Activity is keyed by the logged_time day, so malformed times are
+      // left out
+      if (
+        !id ||
+        !isDateTime(record.logged_time) ||
+        !isDateTime(record.sync_time)
+      ) {
+        return;
+      }
+      const activity = this.activity[id] || (this.activity[id] = { days: {} });
+      activity.project = projectKey;
+      if (!activity.lastSeen || record.sync_time > activity.lastSeen) {
+        activity.lastSeen = record.sync_time;
+      }
+      if (!activity.lastPunch || record.logged_time > activity.lastPunch) {
+        activity.lastPunch = record.logged_time;
+      }
+
+      const date = record.logged_time.slice(0, 10);
+      const day =
+        activity.days[date] ||
+        (activity.days[date] = { punches: 0, lagTotal: 0, lagMax: 0 });
+      const lag = Math.max(
+        0,
+        Math.round(
+          (toMillis(record.sync_time) - toMillis(record.logged_time)) / 1000
+        )
+      );
+      day.punches += 1;
+      day.lagTotal += isNaN(lag) ? 0 : lag;
+      day.lagMax = Math.max(day.lagMax, isNaN(lag) ? 0 : lag);
+    });
+
+    // Drop days past the history window, and any day saved from a
+    // malformed time
+    const newest = Object.values(this.activity)
+      .flatMap((activity) => Object.keys(activity.days))
+      .filter(isDate)
+      .sort()
+      .pop();
+    const cutoff = newest && addDays(newest, -this.historyDays);
+    Object.values(this.activity).forEach((activity) =>
+      Object.keys(activity.days)
+        .filter((date) => !isDate(date) || date <= cutoff)
+        .forEach((date) => delete activity.days[date])
+    );
+
+    this.save();
+  }
+
+  /**
+   * Whether a registered device has been quiet for its silentMinutes within
+   * its active hours
+   */
+  isSilent(id, now) {
+    const device = this.devices.get(id);
+    if (!device || !device.activeHours) {
+      return false;
+    }
+
+    const intoHours = minutesIntoActiveHours(device.activeHours, now);
+    if (intoHours === null) {
+      return false;
+    }
+
+    const lastSeen = this.activity[id]?.lastSeen;
+    const quietMinutes = lastSeen
+      ? Math.min(intoHours, (toMillis(now) - toMillis(lastSeen)) / 60000)
+      : intoHours;
+    return quietMinutes >= device.silentMinutes;
+  }
+
+  /**
+   * Devices that went silent or reported again since the last check.
+   * `nowFor(projectKey)` gives the current local time for a project
+   * (null for devices not seen yet).
+   */
+  check(nowFor) {
+    const offline = [];
+    const online = [];
+
+    this.devices.forEach((device, id) => {
+      const activity = this.activity[id] || (this.activity[id] = { days: {} });
+      const silent = this.isSilent(
+        id,
+        nowFor(activity.project || device.project)
+      );
+
+      if (silent && !activity.alerted) {
+        activity.alerted = true;
+        activity.alertedAt = new Date().toISOString();
+        activity.alertedLastSeen = activity.lastSeen || null;
+        offline.push(this.describe(id, nowFor));
+      } else if (
+        activity.alerted &&
+        (activity.lastSeen || null) !== activity.alertedLastSeen
+      ) {
+        // Back once it reports again, not when its active hours end
+        activity.alerted = false;
+        activity.alertedAt = null;
+        activity.alertedLastSeen = null;
+        online.push(this.describe(id, nowFor));
+      }
+    });
+
+    if (offline.length > 0 || online.length > 0) {
+      this.save();
+    }
+    return { offline, online };
+  }
+
+  describe(id, nowFor, days = 7) {
+    const device = this.devices.get(id);
+    const activity = this.activity[id] || { days: {} };
+    const project = activity.project || device?.project || null;
+    const now = nowFor(project);
+    const today = now.slice(0, 10);
+
+    const daily = [];
+    for (let offset = days - 1; offset >= 0; offset--) {
+      const date = addDays(today, -offset);
+      const day = activity.days[date] || { punches: 0, lagTotal: 0, lagMax: 0 };
+      daily.push({
+        date,
+        punches: day.punches,
+        avgLagSeconds: day.punches
+          ? Math.round(day.lagTotal / day.punches)
+          : null,
+        maxLagSeconds: day.punches ? day.lagMax : null,
+      });
+    }
+
+    let status = "ok";
+    if (this.isSilent(id, now)) {
+      status = "silent";
+    } else if (!activity.lastSeen) {
+      status = "never_seen";
+    }
+
+    return {
+      device_identifier: id,
+      registered: !!device,
+      name: device ? device.name : null,
+      location: device ? device.location : null,
+      project,
+      activeHours:
+        device && device.activeHours
+          ? {
+              start: device.activeHours.startText,
+              end: device.activeHours.endText,
+              days: device.activeHours.days,
+            }
+          : null,
+      silentMinutes: device ? device.silentMinutes : null,
+      status,
+      lastSeen: activity.lastSeen || null,
+      lastPunch: activity.lastPunch || null,
+      today: daily[daily.length - 1],
+      daily,
+    };
+  }
+
+  /**
+   * Registered and seen devices, registered ones first
+   */
+  list(nowFor, { days = 7, status } = {}) {
+    const ids = Array.from(
+      new Set([...this.devices.keys(), ...Object.keys(this.activity)])
+    );
+    return ids
+      .map((id) => this.describe(id, nowFor, days))
+      .filter((device) => !status || device.status === status)
+      .sort(
+        (a, b) =>
+          Number(b.registered) - Number(a.registered) ||
+          a.device_identifier.localeCompare(b.device_identifier)
+      );
+  }
+
+  getStatus() {
+    const ids = new Set([
+      ...this.devices.keys(),
+      ...Object.keys(this.activity),
+    ]);
+    return {
+      registered: this.devices.size,
+      tracked: ids.size,
+      alerting: Object.values(this.activity).filter(
+        (activity) => activity.alerted
+      ).length,
+    };
+  }
+}
+
+DeviceRegistry.WEEKDAYS = WEEKDAYS;
+
+module.exports = DeviceRegistry;
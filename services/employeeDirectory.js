@@ -0,0 +1,604 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+
+// Flat layout of the CSV file and the "Directory" tab: one row per card
+// assignment, repeating the employee's details
+const DIRECTORY_COLUMNS = [
+  "employee_code",
+  "name",
+  "department",
+  "person_identifier",
+  "rfid",
+  "rfid_from",
+  "rfid_to",
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Most unknown identifiers remembered for GET /employees/unknown
+const MAX_UNKNOWN = 1000;
+
+/**
+ * Split CSV text into rows of fields (quoted fields may contain commas,
+ * quotes and line breaks)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+function formatCsvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function previousDay(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - 1);
+  return day.toISOString().slice(0, 10);
+}
+
+function cardCovers(card, date) {
+  return (!card.from || card.from <= date) && (!card.to || date <= card.to);
+}
+
+/**
+ * Employees with their person identifiers and RFID card assignments, used
+ * to add employee code, name and department to every processed record.
+ *
+ * The directory lives in EMPLOYEE_DIRECTORY_PATH (JSON, or CSV by
+ * extension) or in a tab of the spreadsheet (EMPLOYEE_DIRECTORY_SHEET).
+ * Changes made through the API are written back to the same place; the
+ * directory is re-read when the file changes or, for a tab, every
+ * EMPLOYEE_DIRECTORY_REFRESH_MINUTES.
+ *
+ * A card can move between employees: each assignment has an effective
+ * `from` date and an optional `to` date, so older punches keep their
+ * original holder.
+ */
+class EmployeeDirectory {
+  constructor(options = {}) {
+    this.filePath = options.path || process.env.EMPLOYEE_DIRECTORY_PATH || null;
+    this.sheetName =
+      options.sheetName || process.env.EMPLOYEE_DIRECTORY_SHEET || null;
+    // Spreadsheet client for a tab directory (set by SyncService)
+    this.sheetsService = options.sheetsService || null;
+    this.refreshMinutes =
+      options.refreshMinutes ||
+      parseInt(process.env.EMPLOYEE_DIRECTORY_REFRESH_MINUTES, 10) ||
+      15;
+    this.employees = new Map();
+    this.byPerson = new Map();
+    this.cards = new Map();
+    this.unknown = new Map();
+    this.loadedAt = null;
+    this.fileModifiedAt = null;
+    this.lastError = null;
+  }
+
+  get enabled() {
+    return !!(this.sheetName || this.filePath);
+  }
+
+  get source() {
+    if (this.sheetName) {
+      return `sheet:${this.sheetName}`;
+    }
+    return this.filePath;
+  }
+
+  get isCsv() {
+    return path.extname(this.filePath).toLowerCase() === ".csv";
+  }
+
+  /**
+   * Read the directory from its file or tab. Throws if it has problems
+   * (duplicate codes, overlapping card assignments, ...).
+   */
+  async load() {
+    if (!this.enabled) {
+      return;
+    }
+
+    const employees = this.sheetName
+      ? this.fromRows(await this.sheetsService.readRows(this.sheetName))
+      : this.readFile();
+
+    const problems = this.findProblems(employees);
+    if (problems.length > 0) {
+      throw new Error(
+        `Invalid employee directory ${this.source}:\n  ${problems.join("\n  ")}`
+      );
+    }
+
+    this.setEmployees(employees);
+    this.loadedAt = new Date();
+    this.lastError = null;
+    logger.info("Loaded employee directory", {
+      employees: employees.length,
+      source: this.source,
+    });
+  }
+
+  readFile() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    this.fileModifiedAt = fs.statSync(this.filePath).mtimeMs;
+    const content = fs.readFileSync(this.filePath, "utf8");
+    if (!this.isCsv) {
+      const employees = JSON.parse(content);
+      if (!Array.isArray(employees)) {
+        throw new Error(`${this.filePath} must contain a list of employees`);
+      }
+      return employees.map((employee) => this.normalizeEmployee(employee));
+    }
+
+    const [headers = [], ...rows] = parseCsv(content);
+    return this.fromRows(
+      rows.map((row) => {
+        const entry = {};
+        headers.forEach((header, index) => {
+          entry[header.trim()] = (row[index] || "").trim();
+        });
+        return entry;
+      })
+    );
+  }
+
+  /**
+   * Reload when the file changed or the tab copy is older than the
+   * refresh interval. A broken directory keeps the last good copy.
+   */
+  async refreshIfStale() {
+    if (!this.enabled) {
+      return;
+    }
+
+    const stale = this.sheetName
+      ? !this.loadedAt ||
+        Date.now() - this.loadedAt.getTime() > this.refreshMinutes * 60000
+      : fs.existsSync(this.filePath) &&
+        fs.statSync(this.filePath).mtimeMs !== this.fileModifiedAt;
+    if (!stale) {
+      return;
+    }
+
+    try {
+      await this.load();
+    } catch (error) {
+      this.lastError = error.message;
+      logger.error("Could not reload employee directory", { error });
+    }
+  }
+
+  /**
+   * Group flat rows (CSV / tab layout) into employees
+   */
+  fromRows(rows) {
+    const employees = new Map();
+    rows.forEach((row) => {
+      const code = String(row.employee_code || "").trim();
+      if (!employees.has(code)) {
+        employees.set(
+          code,
+          this.normalizeEmployee({ ...row, employee_code: code, cards: [] })
+        );
+      }
+      if (row.rfid) {
+        employees.get(code).cards.push({
+          rfid: String(row.rfid),
+          from: row.rfid_from || null,
+          to: row.rfid_to || null,
+        });
+      }
+    });
+    return Array.from(employees.values());
+  }
+
+  toRows() {
+    const rows = [];
+    this.list().forEach((employee) => {
+      const details = [
+        employee.employee_code,
+        employee.name,
+        employee.department,
+        employee.person_identifier,
+      ];
+      if (employee.cards.length === 0) {
+        rows.push([...details, "", "", ""]);
+      }
+      employee.cards.forEach((card) =>
+        rows.push([...details, card.rfid, card.from || "", card.to || ""])
+      );
+    });
+    return rows;
+  }
+
+  /**
+   * Fill in defaults; a plain `rfid` becomes a card held since always
+   */
+  normalizeEmployee(input) {
+    const cards = Array.isArray(input.cards)
+      ? input.cards.map((card) => ({
+          rfid: card && card.rfid !== undefined ? String(card.rfid) : "",
+          from: (card && card.from) || null,
+          to: (card && card.to) || null,
+        }))
+      : [];
+    if (input.rfid && cards.length === 0 && !Array.isArray(input.cards)) {
+      cards.push({ rfid: String(input.rfid), from: null, to: null });
+    }
+
+    return {
+      employee_code: String(input.employee_code || "").trim(),
+      name: String(input.name || "").trim(),
+      department: String(input.department || "").trim(),
+      person_identifier: String(input.person_identifier || "").trim(),
+      cards,
+    };
+  }
+
+  /**
+   * Everything wrong with a set of employees (empty when it is valid)
+   */
+  findProblems(employees) {
+    const problems = [];
+    const codes = new Set();
+    const people = new Map();
+    const cards = new Map();
+
+    employees.forEach((employee) => {
+      const label = employee.employee_code || "(no code)";
+      if (!employee.employee_code) {
+        problems.push("employee_code is required");
+      } else if (codes.has(employee.employee_code)) {
+        problems.push(`Duplicate employee_code: ${employee.employee_code}`);
+      }
+      codes.add(employee.employee_code);
+
+      if (!employee.name) {
+        problems.push(`${label}: name is required`);
+      }
+      if (employee.person_identifier) {
+        if (people.has(employee.person_identifier)) {
+          problems.push(
+            `${label}: person_identifier ${
+              employee.person_identifier
+            } also belongs to ${people.get(employee.person_identifier)}`
+          );
+        }
+        people.set(employee.person_identifier, label);
+      }
+
+      employee.cards.forEach((card) => {
+        if (!card.rfid) {
+          problems.push(`${label}: card rfid is required`);
+          return;
+        }
+        if (
+          (card.from && !DATE_PATTERN.test(card.from)) ||
+          (card.to && !DATE_PATTERN.test(card.to))
+        ) {
+          problems.push(`${label}: card ${card.rfid} dates must be YYYY-MM-DD`);
+          return;
+        }
+        if (card.from && card.to && card.to < card.from) {
+          problems.push(`${label}: card ${card.rfid} ends before it starts`);
+          return;
+        }
+        if (!cards.has(card.rfid)) {
+          cards.set(card.rfid, []);
+        }
+        cards.get(card.rfid).push({ ...card, holder: label });
+      });
+    });
+
+    cards.forEach((assignments, rfid) => {
+      const sorted = assignments.sort((a, b) =>
+        (a.from || "").localeCompare(b.from || "")
+      );
+      for (let i = 1; i < sorted.length; i++) {
+        const previous = sorted[i - 1];
+        if (!previous.to || previous.to >= (sorted[i].from || "")) {
+          problems.push(
+            `Card ${rfid} is assigned to ${previous.holder} and ${sorted[i].holder} at the same time`
+          );
+        }
+      }
+    });
+
+    return problems;
+  }
+
+  setEmployees(employees) {
+    this.employees = new Map(
+      employees.map((employee) => [employee.employee_code, employee])
+    );
+    this.byPerson = new Map();
+    this.cards = new Map();
+    employees.forEach((employee) => {
+      if (employee.person_identifier) {
+        this.byPerson.set(employee.person_identifier, employee);
+      }
+      employee.cards.forEach((card) => {
+        if (!this.cards.has(card.rfid)) {
+          this.cards.set(card.rfid, []);
+        }
+        this.cards.get(card.rfid).push({ ...card, employee });
+      });
+    });
+  }
+
+  /**
+   * Write the directory back to its file or tab
+   */
+  async save() {
+    if (this.sheetName) {
+      await this.sheetsService.replaceRows(
+        this.sheetName,
+        DIRECTORY_COLUMNS,
+        this.toRows(),
+        () => true
+      );
+      this.loadedAt = new Date();
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const content = this.isCsv
+      ? [DIRECTORY_COLUMNS, ...this.toRows()]
+          .map((row) => `${row.map(formatCsvField).join(",")}\r\n`)
+          .join("")
+      : JSON.stringify(this.list(), null, 2);
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, content);
+    fs.renameSync(tmpPath, this.filePath);
+    this.fileModifiedAt = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  /**
+   * Validate a changed set of employees, then apply and save it; returns
+   * an error message or null
+   */
+  async commit(employees) {
+    const problems = this.findProblems(employees);
+    if (problems.length > 0) {
+      return problems.join("; ");
+    }
+
+    const previous = Array.from(this.employees.values());
+    this.setEmployees(employees);
+    try {
+      await this.save();
+    } catch (error) {
+      this.setEmployees(previous);
+      throw error;
+    }
+    return null;
+  }
+
+  list({ department, q } = {}) {
+    const needle = q ? q.toLowerCase() : null;
+    return Array.from(this.employees.values())
+      .filter(
+        (employee) =>
+          !department ||
+          employee.department.toLowerCase() === department.toLowerCase()
+      )
+      .filter(
+        (employee) =>
+          !needle ||
+          employee.employee_code.toLowerCase().includes(needle) ||
+          employee.name.toLowerCase().includes(needle)
+      )
+      .sort((a, b) => a.employee_code.localeCompare(b.employee_code));
+  }
+
+  get(code) {
+    return this.employees.get(code) || null;
+  }
+
+  async create(input) {
+    const employee = this.normalizeEmployee(input);
+    if (this.employees.has(employee.employee_code)) {
+      return {
+        error: `Employee already exists: ${employee.employee_code}`,
+      };
+    }
+
+    const error = await this.commit([...this.employees.values(), employee]);
+    return error ? { error } : { employee };
+  }
+
+  /**
+   * Change an employee's fields; fields left out keep their value
+   */
+  async update(code, input) {
+    const current = this.get(code);
+    const employee = this.normalizeEmployee({
+      ...current,
+      ...input,
+      employee_code: code,
+    });
+
+    const error = await this.commit(
+      Array.from(this.employees.values()).map((entry) =>
+        entry.employee_code === code ? employee : entry
+      )
+    );
+    return error ? { error } : { employee };
+  }
+
+  async remove(code) {
+    await this.commit(
+      Array.from(this.employees.values()).filter(
+        (employee) => employee.employee_code !== code
+      )
+    );
+  }
+
+  /**
+   * Give a card to an employee from a date. The card's current holder and
+   * the employee's current card are closed the day before.
+   */
+  async assignCard(code, { rfid, from }) {
+    const cardId = String(rfid);
+    const closeAt = previousDay(from);
+
+    const employees = Array.from(this.employees.values()).map((employee) => {
+      const cards = [];
+      employee.cards.forEach((card) => {
+        const sameCard = card.rfid === cardId;
+        const ownCard = employee.employee_code === code;
+        if (!(sameCard || ownCard) || !cardCovers(card, from)) {
+          cards.push(card);
+        } else if (card.from !== from) {
+          cards.push({ ...card, to: closeAt });
+        }
+        // An assignment starting the same day is replaced
+      });
+      return { ...employee, cards };
+    });
+
+    const employee = employees.find((entry) => entry.employee_code === code);
+    employee.cards.push({ rfid: cardId, from, to: null });
+
+    const error = await this.commit(employees);
+    return error ? { error } : { employee: this.get(code) };
+  }
+
+  /**
+   * The employee a punch belongs to: the holder of its card on the punch
+   * date, otherwise the employee with its person_identifier
+   */
+  findEmployee(record) {
+    const date = String(record.logged_time || "").slice(0, 10);
+    const assignments = record.rfid
+      ? this.cards.get(String(record.rfid))
+      : null;
+    const assignment = (assignments || []).find((card) =>
+      cardCovers(card, date)
+    );
+    if (assignment) {
+      return assignment.employee;
+    }
+    return this.byPerson.get(String(record.person_identifier)) || null;
+  }
+
+  /**
+   * Add employee fields to a processed record; records with no match are
+   * flagged with employee_status "unknown"
+   */
+  enrich(record) {
+    const employee = this.findEmployee(record);
+    return {
+      ...record,
+      employee_code: employee ? employee.employee_code : "",
+      employee_name: employee ? employee.name : "",
+      department: employee ? employee.department : "",
+      employee_status: employee ? "known" : "unknown",
+    };
+  }
+
+  /**
+   * Remember identifiers that had no directory entry
+   */
+  noteUnknown(projectKey, records) {
+    const now = new Date().toISOString();
+    records
+      .filter((record) => record.employee_status === "unknown")
+      .forEach((record) => {
+        const key = `${projectKey}|${record.person_identifier}|${record.rfid}`;
+        const entry = this.unknown.get(key) || {
+          project: projectKey,
+          person_identifier: record.person_identifier,
+          rfid: record.rfid,
+          punches: 0,
+          firstSeenAt: now,
+        };
+        entry.punches += 1;
+        entry.lastSeenAt = now;
+        // Re-insert so the Map stays ordered by last sighting
+        this.unknown.delete(key);
+        this.unknown.set(key, entry);
+      });
+
+    while (this.unknown.size > MAX_UNKNOWN) {
+      this.unknown.delete(this.unknown.keys().next().value);
+    }
+  }
+
+  /**
+   * Unknown identifiers, most recently seen first; entries that now match
+   * an employee are left out
+   */
+  listUnknown() {
+    return Array.from(this.unknown.values())
+      .filter(
+        (entry) =>
+          !this.findEmployee({
+            person_identifier: entry.person_identifier,
+            rfid: entry.rfid,
+            logged_time: entry.lastSeenAt.slice(0, 10),
+          })
+      )
+      .reverse();
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      source: this.source,
+      employees: this.employees.size,
+      cards: this.cards.size,
+      unknownIdentifiers: this.unknown.size,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError,
+    };
+  }
+}
+
+EmployeeDirectory.DIRECTORY_COLUMNS = DIRECTORY_COLUMNS;
+EmployeeDirectory.DATE_PATTERN = DATE_PATTERN;
+
+module.exports = EmployeeDirectory;
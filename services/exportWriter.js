@@ -0,0 +1,155 @@
+const ExcelJS = require("exceljs");
+const { ATTENDANCE_HEADERS, toAttendanceRow } = require("./attendanceColumns");
+
+/**
+ * Resolve once the stream can take more data; reject if it closes first
+ * (the client went away)
+ */
+function waitForDrain(stream) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      stream.off("drain", onDrain);
+      stream.off("close", onClose);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error("Export stream closed"));
+    };
+    stream.on("drain", onDrain);
+    stream.on("close", onClose);
+  });
+}
+
+async function writeChunk(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await waitForDrain(stream);
+  }
+}
+
+/**
+ * Quote a CSV field when needed. Values that spreadsheet apps would run as
+ * formulas are prefixed with a quote.
+ */
+function escapeCsv(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class CsvExportWriter {
+  constructor(stream) {
+    this.stream = stream;
+  }
+
+  async start() {
+    await writeChunk(this.stream, `${ATTENDANCE_HEADERS.join(",")}\r\n`);
+  }
+
+  async write(records) {
+    const lines = records.map(
+      (record) => `${toAttendanceRow(record).map(escapeCsv).join(",")}\r\n`
+    );
+    await writeChunk(this.stream, lines.join(""));
+  }
+
+  async finish() {
+    this.stream.end();
+  }
+}
+
+class NdjsonExportWriter {
+  constructor(stream) {
+    this.stream = stream;
+  }
+
+  async start() {}
+
+  async write(records) {
+    const lines = records.map((record) => {
+      const row = toAttendanceRow(record);
+      const entry = {};
+      ATTENDANCE_HEADERS.forEach((header, index) => {
+        entry[header] = row[index] === undefined ? "" : row[index];
+      });
+      return `${JSON.stringify(entry)}\n`;
+    });
+    await writeChunk(this.stream, lines.join(""));
+  }
+
+  async finish() {
+    this.stream.end();
+  }
+}
+
+class XlsxExportWriter {
+  constructor(stream) {
+    this.stream = stream;
+    // Rows are committed as they are written, so the sheet isn't held in memory
+    this.workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream,
+      useSharedStrings: false,
+      useStyles: false,
+    });
+    this.worksheet = this.workbook.addWorksheet("Attendance");
+  }
+
+  async start() {
+    this.worksheet.addRow(ATTENDANCE_HEADERS).commit();
+  }
+
+  async write(records) {
+    records.forEach((record) =>
+      this.worksheet.addRow(toAttendanceRow(record)).commit()
+    );
+    if (this.stream.writableNeedDrain) {
+      await waitForDrain(this.stream);
+    }
+  }
+
+  async finish() {
+    this.worksheet.commit();
+    await this.workbook.commit();
+  }
+}
+
+const FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    Writer: CsvExportWriter,
+  },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+    Writer: XlsxExportWriter,
+  },
+  ndjson: {
+    contentType: "application/x-ndjson; charset=utf-8",
+    extension: "ndjson",
+    Writer: NdjsonExportWriter,
+  },
+};
+
+/**
+ * Create a writer that streams attendance records to `stream` in the given
+ * format (csv, xlsx or ndjson)
+ */
+function createExportWriter(format, stream) {
+  const definition = FORMATS[format];
+  if (!definition) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  return new definition.Writer(stream);
+}
+
+module.exports = {
+  EXPORT_FORMATS: FORMATS,
+  createExportWriter,
+};
@@ -1,13 +1,30 @@
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const UidIndex = require('./uidIndex');
+const RetryPolicy = require('./retryPolicy');
+const logger = require('./logger');
+const { ATTENDANCE_HEADERS, LAST_ATTENDANCE_COLUMN, toAttendanceRow } = require('./attendanceColumns');
 
 class GoogleSheetsService {
-  constructor() {
+  constructor(options = {}) {
     this.sheets = null;
     this.auth = null;
-    this.spreadsheetId = process.env.GOOGLE_SHEETS_ID;
+    this.type = 'sheets';
+    this.name = options.name || 'sheets';
+    this.spreadsheetId = options.spreadsheetId || process.env.GOOGLE_SHEETS_ID;
+    // Optional tab name; without it the first sheet of the spreadsheet is used
+    this.sheetName = options.sheetName || null;
     this.initialized = false;
+    const indexName = [this.spreadsheetId, this.sheetName]
+      .filter(part => part)
+      .join('-')
+      .replace(/[^A-Za-z0-9_-]/g, '_');
+    this.uidIndex = new UidIndex(
+      path.join(process.env.UID_INDEX_DIR || './data', `uid-index-${indexName}.txt`)
+    );
+    this.retryPolicy = options.retryPolicy || RetryPolicy.fromEnv('SHEETS', 'sheets', options.projectKey);
+    this.logger = logger.child({ project: options.projectKey, sink: this.name });
   }
 
   async initialize() {
@@ -26,14 +43,15 @@ class GoogleSheetsService {
         scopes: ['https://www.googleapis.com/auth/spreadsheets']
       });
 
-      // Get sheets API instance
-      this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+      // Get sheets API instance. Retries are left to the retry policy, so
+      // googleapis' own retries don't stack on top of it
+      this.sheets = google.sheets({ version: 'v4', auth: this.auth, retry: false });
       this.initialized = true;
 
-      console.log('Google Sheets service initialized successfully');
+      this.logger.info('Google Sheets service initialized');
       return true;
     } catch (error) {
-      console.error('Failed to initialize Google Sheets service:', error.message);
+      this.logger.error('Failed to initialize Google Sheets service', { error });
       throw error;
     }
   }
@@ -44,46 +62,83 @@ class GoogleSheetsService {
     }
   }
 
+  /**
+   * Run a Sheets API call through the retry policy
+   */
+  async request(operation, fn) {
+    return await this.retryPolicy.execute(fn, operation);
+  }
+
+  /**
+   * Build an A1 range, prefixed with the tab name when one is configured
+   */
+  range(a1, sheetName = this.sheetName) {
+    if (!sheetName) {
+      return a1;
+    }
+    return `'${sheetName.replace(/'/g, "''")}'!${a1}`;
+  }
+
+  /**
+   * Create a tab in the spreadsheet if it doesn't exist yet
+   */
+  async ensureSheetTab(title) {
+    await this.ensureInitialized();
+
+    const response = await this.request('list tabs', () => this.sheets.spreadsheets.get({
+      spreadsheetId: this.spreadsheetId,
+      fields: 'sheets.properties.title'
+    }));
+
+    const exists = response.data.sheets.some(sheet => sheet.properties.title === title);
+    if (exists) {
+      return false;
+    }
+
+    await this.request('add tab', () => this.sheets.spreadsheets.batchUpdate({
+      spreadsheetId: this.spreadsheetId,
+      resource: {
+        requests: [{ addSheet: { properties: { title } } }]
+      }
+    }));
+    this.logger.info('Created sheet tab', { tab: title });
+    return true;
+  }
+
   async createHeaderRow() {
     await this.ensureInitialized();
+
+    if (this.sheetName) {
+      await this.ensureSheetTab(this.sheetName);
+    }
     
-    const headers = [
-      'UID',
-      'Sync Time',
-      'Logged Time', 
-      'Type',
-      'Device ID',
-      'Location',
-      'Person ID',
-      'RFID',
-      'Primary Display',
-      'Secondary Display',
-      'Project Code',
-      'Project Name',
-      'Organization'
-    ];
+    const headers = ATTENDANCE_HEADERS;
+    const headerRange = this.range(`A1:${LAST_ATTENDANCE_COLUMN}1`);
 
     try {
       // Check if headers already exist
-      const response = await this.sheets.spreadsheets.values.get({
+      const response = await this.request('read header', () => this.sheets.spreadsheets.values.get({
         spreadsheetId: this.spreadsheetId,
-        range: 'A1:M1'
-      });
+        range: headerRange
+      }));
 
-      if (!response.data.values || response.data.values.length === 0) {
-        // Add headers
-        await this.sheets.spreadsheets.values.update({
+      const existing = (response.data.values && response.data.values[0]) || [];
+      // Sheets created before the employee columns have a shorter header
+      const outdated = existing.length < headers.length &&
+        existing.every((header, index) => header === headers[index]);
+      if (outdated) {
+        await this.request('write header', () => this.sheets.spreadsheets.values.update({
           spreadsheetId: this.spreadsheetId,
-          range: 'A1:M1',
+          range: headerRange,
           valueInputOption: 'RAW',
           resource: {
             values: [headers]
           }
-        });
-        console.log('Header row created successfully');
+        }));
+        this.logger.info(existing.length === 0 ? 'Header row created' : 'Header row extended');
       }
     } catch (error) {
-      console.error('Error creating header row:', error.message);
+      this.logger.error('Error creating header row', { error });
       throw error;
     }
   }
@@ -92,10 +147,10 @@ class GoogleSheetsService {
     await this.ensureInitialized();
     
     try {
-      const response = await this.sheets.spreadsheets.values.get({
+      const response = await this.request('read UIDs', () => this.sheets.spreadsheets.values.get({
         spreadsheetId: this.spreadsheetId,
-        range: 'A:A' // Get all UIDs from column A
-      });
+        range: this.range('A:A') // Get all UIDs from column A
+      }));
 
       if (response.data.values && response.data.values.length > 1) {
         // Skip header row and extract UIDs
@@ -103,63 +158,232 @@ class GoogleSheetsService {
       }
       return [];
     } catch (error) {
-      console.error('Error getting existing UIDs:', error.message);
-      return [];
+      this.logger.error('Error getting existing UIDs', { error });
+      throw new Error(`Could not read existing UIDs from sheet: ${error.message}`);
+    }
+  }
+
+  /**
+   * Make sure the local UID index is loaded, seeding it from the sheet once
+   */
+  async ensureUidIndex() {
+    if (this.uidIndex.loaded) {
+      return;
     }
+
+    if (this.uidIndex.load()) {
+      this.logger.info('Loaded UID index', { entries: this.uidIndex.size });
+      return;
+    }
+
+    this.logger.info('No local UID index found, seeding from sheet');
+    await this.reindex();
+  }
+
+  /**
+   * Rebuild the local UID index from column A of the sheet
+   */
+  async reindex() {
+    const uids = await this.getExistingUIDs();
+    this.uidIndex.rebuild(uids);
+    this.logger.info('UID index rebuilt', { entries: this.uidIndex.size });
+    return this.uidIndex.getStatus();
+  }
+
+  /**
+   * Sink interface: connect and make sure the header row exists
+   */
+  async init() {
+    await this.initialize();
+    await this.createHeaderRow();
+  }
+
+  /**
+   * Sink interface: the records not in the sheet yet (checked against the
+   * local UID index, including repeats within the batch). With `readOnly`
+   * and no index yet, the sheet's UIDs are used without seeding one.
+   */
+  async dedupe(records, { readOnly = false } = {}) {
+    let existing = this.uidIndex;
+    if (readOnly && !this.uidIndex.loaded && !this.uidIndex.load()) {
+      existing = new Set(await this.getExistingUIDs());
+    } else {
+      await this.ensureUidIndex();
+    }
+
+    const seen = new Set();
+    return records.filter(record => {
+      if (existing.has(record.uid) || seen.has(record.uid)) {
+        return false;
+      }
+      seen.add(record.uid);
+      return true;
+    });
+  }
+
+  /**
+   * Sink interface: append new records, returns how many were written
+   */
+  async writeBatch(records) {
+    return (await this.appendAttendanceData(records)) || 0;
+  }
+
+  /**
+   * Sink interface: check the spreadsheet is reachable
+   */
+  async health() {
+    try {
+      const info = await this.getSheetInfo();
+      return { healthy: true, title: info.title, sheetName: this.sheetName };
+    } catch (error) {
+      return { healthy: false, message: error.message };
+    }
+  }
+
+  getStatus() {
+    return {
+      type: this.type,
+      name: this.name,
+      initialized: this.initialized,
+      spreadsheetId: this.spreadsheetId,
+      sheetName: this.sheetName,
+      uidIndex: this.uidIndex.getStatus(),
+      retryPolicy: this.retryPolicy.getStatus()
+    };
   }
 
   async appendAttendanceData(attendanceRecords) {
     await this.ensureInitialized();
     
     if (!attendanceRecords || attendanceRecords.length === 0) {
-      console.log('No attendance records to append');
+      this.logger.debug('No attendance records to append');
       return;
     }
 
     try {
-      // Get existing UIDs to avoid duplicates
-      const existingUIDs = await this.getExistingUIDs();
+      // Duplicates are checked against the local UID index; fail rather than
+      // append everything again if it cannot be loaded
+      try {
+        await this.ensureUidIndex();
+      } catch (error) {
+        throw new Error(`UID index unavailable, refusing to append: ${error.message}`);
+      }
       
-      // Filter out records that already exist
-      const newRecords = attendanceRecords.filter(record => !existingUIDs.includes(record.uid));
+      // Filter out records that already exist (including repeats within the batch)
+      const newRecords = await this.dedupe(attendanceRecords);
       
       if (newRecords.length === 0) {
-        console.log('No new records to add');
+        this.logger.debug('No new records to add');
         return;
       }
 
       // Convert attendance records to sheet rows
-      const rows = newRecords.map(record => [
-        record.uid,
-        record.sync_time,
-        record.logged_time,
-        record.type,
-        record.device_identifier,
-        record.location,
-        record.person_identifier,
-        record.rfid || '',
-        record.primary_display_text,
-        record.secondary_display_text,
-        record.project?.code || '',
-        record.project?.name || '',
-        record.project?.organization || ''
-      ]);
-
-      // Append new rows
-      await this.sheets.spreadsheets.values.append({
+      const rows = newRecords.map(toAttendanceRow);
+
+      // Append new rows. An append is not idempotent: a failed attempt may
+      // still have been written, so retries first drop the rows whose UID
+      // the sheet already has
+      await this.request('append rows', async attempt => {
+        let values = rows;
+        if (attempt > 1) {
+          const written = new Set(await this.getExistingUIDs());
+          values = rows.filter(row => !written.has(row[0]));
+          if (values.length === 0) {
+            return;
+          }
+        }
+
+        return this.sheets.spreadsheets.values.append({
+          spreadsheetId: this.spreadsheetId,
+          range: this.range(`A:${LAST_ATTENDANCE_COLUMN}`),
+          valueInputOption: 'RAW',
+          insertDataOption: 'INSERT_ROWS',
+          resource: {
+            values
+          }
+        });
+      });
+
+      // Record the new UIDs locally
+      this.uidIndex.add(newRecords.map(record => record.uid));
+
+      this.logger.info('Appended attendance records', { records: newRecords.length });
+      return newRecords.length;
+    } catch (error) {
+      this.logger.error('Error appending attendance data', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Rewrite a summary tab: keep existing rows that `shouldReplace` rejects,
+   * add the new rows, and write everything back sorted by the first columns
+   */
+  async replaceRows(tabName, headers, rows, shouldReplace) {
+    await this.ensureInitialized();
+
+    try {
+      await this.ensureSheetTab(tabName);
+
+      const response = await this.request('read summary', () => this.sheets.spreadsheets.values.get({
         spreadsheetId: this.spreadsheetId,
-        range: 'A:M',
+        range: this.range('A:Z', tabName)
+      }));
+
+      const existing = (response.data.values || []).slice(1);
+      const kept = existing.filter(row => !shouldReplace(row));
+      const values = kept.concat(rows).sort((a, b) =>
+        String(a[0]).localeCompare(String(b[0])) || String(a[1]).localeCompare(String(b[1]))
+      );
+
+      await this.request('clear summary', () => this.sheets.spreadsheets.values.clear({
+        spreadsheetId: this.spreadsheetId,
+        range: this.range('A:Z', tabName)
+      }));
+
+      await this.request('write summary', () => this.sheets.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: this.range('A1', tabName),
         valueInputOption: 'RAW',
-        insertDataOption: 'INSERT_ROWS',
         resource: {
-          values: rows
+          values: [headers, ...values]
         }
-      });
+      }));
 
-      console.log(`Successfully added ${newRecords.length} new attendance records to Google Sheets`);
-      return newRecords.length;
+      this.logger.info('Wrote tab', { tab: tabName, rows: rows.length, total: values.length });
+      return rows.length;
+    } catch (error) {
+      this.logger.error('Error writing tab', { tab: tabName, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Read every row of a tab below the header, as objects keyed by the
+   * header cells (an empty list when the tab doesn't exist)
+   */
+  async readRows(tabName) {
+    await this.ensureInitialized();
+
+    try {
+      const response = await this.request('read tab', () => this.sheets.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: this.range('A:Z', tabName)
+      }));
+
+      const [headers = [], ...rows] = response.data.values || [];
+      return rows.map(row => {
+        const entry = {};
+        headers.forEach((header, index) => {
+          entry[header] = row[index] === undefined ? '' : row[index];
+        });
+        return entry;
+      });
     } catch (error) {
-      console.error('Error appending attendance data:', error.message);
+      if (error.code === 400 && /Unable to parse range/.test(error.message)) {
+        return [];
+      }
+      this.logger.error('Error reading tab', { tab: tabName, error });
       throw error;
     }
   }
@@ -168,13 +392,14 @@ class GoogleSheetsService {
     await this.ensureInitialized();
     
     try {
-      await this.sheets.spreadsheets.values.clear({
+      await this.request('clear sheet', () => this.sheets.spreadsheets.values.clear({
         spreadsheetId: this.spreadsheetId,
-        range: 'A:Z'
-      });
-      console.log('Sheet cleared successfully');
+        range: this.range('A:Z')
+      }));
+      this.uidIndex.rebuild([]);
+      this.logger.info('Sheet cleared');
     } catch (error) {
-      console.error('Error clearing sheet:', error.message);
+      this.logger.error('Error clearing sheet', { error });
       throw error;
     }
   }
@@ -183,17 +408,18 @@ class GoogleSheetsService {
     await this.ensureInitialized();
     
     try {
-      const response = await this.sheets.spreadsheets.get({
+      const response = await this.request('get sheet info', () => this.sheets.spreadsheets.get({
         spreadsheetId: this.spreadsheetId
-      });
+      }));
       
       return {
         title: response.data.properties.title,
         sheetCount: response.data.sheets.length,
+        sheetName: this.sheetName,
         url: `https://docs.google.com/spreadsheets/d/${this.spreadsheetId}`
       };
     } catch (error) {
-      console.error('Error getting sheet info:', error.message);
+      this.logger.error('Error getting sheet info', { error });
       throw error;
     }
   }
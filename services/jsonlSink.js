@@ -0,0 +1,103 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const UidIndex = require("./uidIndex");
+const logger = require("./logger");
+
+/**
+ * Sink that appends processed attendance records to a local JSON Lines
+ * file, one record per line. Duplicates are checked against a UID index
+ * kept next to the file (rebuilt from the file when missing).
+ */
+class JsonlSink {
+  constructor(options = {}) {
+    this.type = "jsonl";
+    this.name = options.name || "jsonl";
+    this.filePath =
+      options.path ||
+      `./data/attendance-${options.projectKey || "default"}.jsonl`;
+    this.uidIndex = new UidIndex(`${this.filePath}.uids`);
+    this.initialized = false;
+  }
+
+  async init() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    if (!this.uidIndex.load()) {
+      this.uidIndex.rebuild(await this.readUids());
+    }
+    this.initialized = true;
+  }
+
+  /**
+   * Read every UID already in the file
+   */
+  async readUids() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const uids = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath),
+      crlfDelay: Infinity,
+    });
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        uids.push(JSON.parse(line).uid);
+      } catch (error) {
+        logger.warn("Skipping malformed JSONL line", { file: this.filePath });
+      }
+    }
+    return uids;
+  }
+
+  async dedupe(records) {
+    const seen = new Set();
+    return records.filter((record) => {
+      if (this.uidIndex.has(record.uid) || seen.has(record.uid)) {
+        return false;
+      }
+      seen.add(record.uid);
+      return true;
+    });
+  }
+
+  async writeBatch(records) {
+    const newRecords = await this.dedupe(records);
+    if (newRecords.length === 0) {
+      return 0;
+    }
+
+    await fs.promises.appendFile(
+      this.filePath,
+      newRecords.map((record) => `${JSON.stringify(record)}\n`).join("")
+    );
+    this.uidIndex.add(newRecords.map((record) => record.uid));
+    return newRecords.length;
+  }
+
+  async health() {
+    try {
+      await fs.promises.access(path.dirname(this.filePath), fs.constants.W_OK);
+      return { healthy: true, path: this.filePath };
+    } catch (error) {
+      return { healthy: false, message: error.message };
+    }
+  }
+
+  getStatus() {
+    return {
+      type: this.type,
+      name: this.name,
+      initialized: this.initialized,
+      path: this.filePath,
+      uidIndex: this.uidIndex.getStatus(),
+    };
+  }
+}
+
+module.exports = JsonlSink;
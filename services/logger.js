@@ -0,0 +1,151 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields whose values never reach the log
+const SENSITIVE_KEY =
+  /token|secret|password|authorization|api[_-]?key|private[_-]?key|key[_-]?path|credentials/i;
+const TOKEN_IN_TEXT = /(api_token=)[^&\s"']+/gi;
+const REDACTED = "[REDACTED]";
+
+// Environment values that are masked wherever they appear in a message
+const SECRET_ENV = [
+  "TIPSOI_API_TOKEN",
+  "GOOGLE_PRIVATE_KEY_PATH",
+  "TELEGRAM_BOT_TOKEN",
+];
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Structured logger. Writes one JSON object per line to stdout (or a
+ * readable line with LOG_FORMAT=pretty) at or above LOG_LEVEL. Entries carry
+ * the fields of the current context, so everything logged while handling a
+ * request or a sync run shares its requestId / runId. Tokens, secrets and
+ * key paths are redacted.
+ */
+class Logger {
+  constructor(options = {}) {
+    this.fields = options.fields || {};
+    const level = (options.level || process.env.LOG_LEVEL || "info")
+      .toLowerCase()
+      .trim();
+    this.level = LEVELS[level] ? level : "info";
+    this.format = options.format || process.env.LOG_FORMAT || "json";
+  }
+
+  /**
+   * A logger that adds `fields` to every entry
+   */
+  child(fields) {
+    return new Logger({
+      fields: { ...this.fields, ...fields },
+      level: this.level,
+      format: this.format,
+    });
+  }
+
+  /**
+   * Run fn with fields (e.g. a correlation id) attached to everything it
+   * logs, including from async work it starts
+   */
+  runWithContext(fields, fn) {
+    return context.run({ ...this.getContext(), ...fields }, fn);
+  }
+
+  getContext() {
+    return context.getStore() || {};
+  }
+
+  newId() {
+    return crypto.randomUUID();
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  redactText(text) {
+    let result = text.replace(TOKEN_IN_TEXT, `$1${REDACTED}`);
+    SECRET_ENV.map((name) => process.env[name])
+      .filter((value) => value && value.length >= 4)
+      .forEach((value) => {
+        result = result.split(value).join(REDACTED);
+      });
+    return result;
+  }
+
+  redact(value, depth = 0) {
+    if (typeof value === "string") {
+      return this.redactText(value);
+    }
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: this.redactText(value.message),
+        ...(value.response?.status ? { status: value.response.status } : {}),
+      };
+    }
+    if (!value || typeof value !== "object" || value instanceof Date) {
+      return value;
+    }
+    if (depth >= 5) {
+      return "[Object]";
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this.redact(item, depth + 1));
+    }
+
+    return Object.entries(value).reduce((acc, [key, item]) => {
+      acc[key] =
+        SENSITIVE_KEY.test(key) && item
+          ? REDACTED
+          : this.redact(item, depth + 1);
+      return acc;
+    }, {});
+  }
+
+  write(level, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const entry = this.redact({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...this.getContext(),
+      ...this.fields,
+      ...(fields instanceof Error ? { error: fields } : fields),
+    });
+
+    if (this.format === "pretty") {
+      const { time, level: entryLevel, msg, ...rest } = entry;
+      const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : "";
+      process.stdout.write(
+        `${time} ${entryLevel.toUpperCase().padEnd(5)} ${msg}${extra}\n`
+      );
+      return;
+    }
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(message, fields) {
+    this.write("debug", message, fields);
+  }
+
+  info(message, fields) {
+    this.write("info", message, fields);
+  }
+
+  warn(message, fields) {
+    this.write("warn", message, fields);
+  }
+
+  error(message, fields) {
+    this.write("error", message, fields);
+  }
+}
+
+module.exports = new Logger();
@@ -0,0 +1,145 @@
+const client = require("prom-client");
+
+const PREFIX = "tipsoi_sync_";
+
+/**
+ * Prometheus metrics served on GET /metrics. Everything is labelled by
+ * project; clients shared by all projects (event webhooks, the employee
+ * directory sheet) report an empty project.
+ */
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+// Last successful sync per project, in epoch milliseconds
+const lastSuccess = new Map();
+
+const recordsFetched = new client.Counter({
+  name: `${PREFIX}records_fetched_total`,
+  help: "Records fetched from TIPSOI or pushed to /ingest",
+  labelNames: ["project"],
+  registers: [register],
+});
+
+const recordsAdded = new client.Counter({
+  name: `${PREFIX}records_added_total`,
+  help: "Records new to the primary sink",
+  labelNames: ["project"],
+  registers: [register],
+});
+
+const recordsDeduped = new client.Counter({
+  name: `${PREFIX}records_deduped_total`,
+  help: "Records skipped because they were already written",
+  labelNames: ["project"],
+  registers: [register],
+});
+
+const recordsRejected = new client.Counter({
+  name: `${PREFIX}records_rejected_total`,
+  help: "Records that failed validation",
+  labelNames: ["project"],
+  registers: [register],
+});
+
+const requestDuration = new client.Histogram({
+  name: `${PREFIX}request_duration_seconds`,
+  help: "Latency of requests to TIPSOI, Google Sheets and webhooks, per attempt",
+  labelNames: ["project", "client", "outcome"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+const syncDuration = new client.Histogram({
+  name: `${PREFIX}sync_duration_seconds`,
+  help: "Duration of sync runs",
+  labelNames: ["project", "outcome"],
+  buckets: [0.5, 1, 2, 5, 10, 30, 60, 120, 300, 600],
+  registers: [register],
+});
+
+const errors = new client.Counter({
+  name: `${PREFIX}errors_total`,
+  help: "Errors by type: <client>_request, sink_write or sync",
+  labelNames: ["project", "type"],
+  registers: [register],
+});
+
+const cronRuns = new client.Counter({
+  name: `${PREFIX}cron_runs_total`,
+  help: "Scheduled sync runs by outcome",
+  labelNames: ["project", "outcome"],
+  registers: [register],
+});
+
+new client.Gauge({
+  name: `${PREFIX}seconds_since_last_success`,
+  help: "Seconds since the last successful sync (absent until the first)",
+  labelNames: ["project"],
+  registers: [register],
+  collect() {
+    this.reset();
+    lastSuccess.forEach((time, project) =>
+      this.set({ project }, (Date.now() - time) / 1000)
+    );
+  },
+});
+
+/**
+ * One request attempt made through a RetryPolicy
+ */
+function observeRequest(project, clientName, success, durationMs) {
+  const outcome = success ? "success" : "failure";
+  requestDuration.observe(
+    { project, client: clientName, outcome },
+    durationMs / 1000
+  );
+  if (!success) {
+    errors.inc({ project, type: `${clientName}_request` });
+  }
+}
+
+/**
+ * A finished sync run; failed runs also count as a "sync" error
+ */
+function observeSync(project, success, durationMs) {
+  syncDuration.observe(
+    { project, outcome: success ? "success" : "failure" },
+    durationMs / 1000
+  );
+  if (success) {
+    lastSuccess.set(project, Date.now());
+  } else {
+    errors.inc({ project, type: "sync" });
+  }
+}
+
+/**
+ * Add to the record counters; zero counts are skipped
+ */
+function countRecords(project, counts) {
+  [
+    [recordsFetched, counts.fetched],
+    [recordsAdded, counts.added],
+    [recordsDeduped, counts.deduped],
+    [recordsRejected, counts.rejected],
+  ]
+    .filter(([, count]) => count > 0)
+    .forEach(([counter, count]) => counter.inc({ project }, count));
+}
+
+function countError(project, type) {
+  errors.inc({ project, type });
+}
+
+function countCronRun(project, outcome) {
+  cronRuns.inc({ project, outcome });
+}
+
+module.exports = {
+  register,
+  observeRequest,
+  observeSync,
+  countRecords,
+  countError,
+  countCronRun,
+};
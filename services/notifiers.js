@@ -0,0 +1,201 @@
+const axios = require("axios");
+const nodemailer = require("nodemailer");
+const RetryPolicy = require("./retryPolicy");
+
+/**
+ * Where alerts are sent. Every notifier has a `type` and a unique `name`,
+ * and implements:
+ *
+ *   async send(alert)   deliver one alert (throws on failure)
+ *   getStatus()
+ *
+ * An alert is { type, project, state: "firing" | "resolved", summary,
+ * details, at }.
+ */
+
+/**
+ * One line of text for chat notifiers and email subjects
+ */
+function formatAlert(alert) {
+  const state = alert.state === "resolved" ? "RESOLVED" : "FIRING";
+  const project = alert.project ? ` ${alert.project}:` : "";
+  return `[${state}]${project} ${alert.summary}`;
+}
+
+/**
+ * Plain-text body with the alert details
+ */
+function formatDetails(alert) {
+  return [
+    formatAlert(alert),
+    "",
+    ...Object.entries(alert.details || {}).map(
+      ([key, value]) => `${key}: ${value === null ? "-" : value}`
+    ),
+    `at: ${alert.at}`,
+  ].join("\n");
+}
+
+class HttpNotifier {
+  constructor(definition, type) {
+    this.type = type;
+    this.name = definition.name || type;
+    this.timeout = definition.timeout || 10000;
+    this.retryPolicy = RetryPolicy.fromEnv("ALERT", `alerts ${this.name}`);
+  }
+
+  async post(url, body, headers = {}) {
+    await this.retryPolicy.execute(
+      () => axios.post(url, body, { timeout: this.timeout, headers }),
+      "send alert"
+    );
+  }
+
+  getStatus() {
+    return { type: this.type, name: this.name };
+  }
+}
+
+/**
+ * POSTs the alert object as JSON
+ */
+class WebhookNotifier extends HttpNotifier {
+  constructor(definition) {
+    super(definition, "webhook");
+    if (!definition.url) {
+      throw new Error(`Alert notifier ${this.name}: url is required`);
+    }
+    this.url = definition.url;
+    this.headers = definition.headers || {};
+  }
+
+  async send(alert) {
+    await this.post(this.url, alert, this.headers);
+  }
+}
+
+/**
+ * Slack incoming webhook (or anything accepting { "text": ... })
+ */
+class SlackNotifier extends HttpNotifier {
+  constructor(definition) {
+    super(definition, "slack");
+    this.url = definition.url || process.env[definition.urlEnv];
+    if (!this.url) {
+      throw new Error(`Alert notifier ${this.name}: url or urlEnv is required`);
+    }
+  }
+
+  async send(alert) {
+    await this.post(this.url, { text: formatAlert(alert) });
+  }
+}
+
+/**
+ * Telegram bot sendMessage; the bot token comes from botTokenEnv
+ * (default TELEGRAM_BOT_TOKEN)
+ */
+class TelegramNotifier extends HttpNotifier {
+  constructor(definition) {
+    super(definition, "telegram");
+    this.token = process.env[definition.botTokenEnv || "TELEGRAM_BOT_TOKEN"];
+    this.chatId = definition.chatId;
+    if (!this.token || !this.chatId) {
+      throw new Error(
+        `Alert notifier ${this.name}: a bot token and chatId are required`
+      );
+    }
+    this.baseUrl = definition.baseUrl || "https://api.telegram.org";
+  }
+
+  async send(alert) {
+    await this.post(`${this.baseUrl}/bot${this.token}/sendMessage`, {
+      chat_id: this.chatId,
+      text: formatDetails(alert),
+    });
+  }
+}
+
+/**
+ * Email through the SMTP_* server
+ */
+class EmailNotifier {
+  constructor(definition) {
+    this.type = "email";
+    this.name = definition.name || "email";
+    this.to = [].concat(definition.to || []);
+    this.from =
+      definition.from || process.env.SMTP_FROM || process.env.SMTP_USER;
+    if (this.to.length === 0 || !this.from) {
+      throw new Error(`Alert notifier ${this.name}: to and from are required`);
+    }
+    if (!process.env.SMTP_HOST) {
+      throw new Error(`Alert notifier ${this.name}: SMTP_HOST is not set`);
+    }
+
+    this.transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+
+  async send(alert) {
+    await this.transport.sendMail({
+      from: this.from,
+      to: this.to.join(", "),
+      subject: formatAlert(alert),
+      text: formatDetails(alert),
+    });
+  }
+
+  getStatus() {
+    return { type: this.type, name: this.name, to: this.to };
+  }
+}
+
+const NOTIFIER_TYPES = {
+  email: (definition) => new EmailNotifier(definition),
+  webhook: (definition) => new WebhookNotifier(definition),
+  slack: (definition) => new SlackNotifier(definition),
+  telegram: (definition) => new TelegramNotifier(definition),
+};
+
+/**
+ * Build notifiers from the alerts config's `notifiers` list
+ */
+function createNotifiers(definitions = []) {
+  if (!Array.isArray(definitions)) {
+    throw new Error("Alerts config: notifiers must be a list");
+  }
+
+  const names = new Set();
+  return definitions.map((definition) => {
+    const create = NOTIFIER_TYPES[definition && definition.type];
+    if (!create) {
+      throw new Error(
+        `Alerts config: unknown notifier type "${
+          definition && definition.type
+        }" (use ${Object.keys(NOTIFIER_TYPES).join(", ")})`
+      );
+    }
+
+    const notifier = create(definition);
+    if (names.has(notifier.name)) {
+      throw new Error(
+        `Alerts config: duplicate notifier name "${notifier.name}"`
+      );
+    }
+    names.add(notifier.name);
+    return notifier;
+  });
+}
+
+module.exports = {
+  NOTIFIER_TYPES,
+  createNotifiers,
+  formatAlert,
+};
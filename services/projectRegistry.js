@@ -0,0 +1,132 @@
+const { readConfigFile } = require("./configFile");
+
+/**
+ * Registry of TIPSOI projects to sync, loaded from a JSON or YAML file
+ * (PROJECTS_CONFIG). Without a config file a single "default" project is
+ * built from the TIPSOI_* / GOOGLE_* environment variables.
+ *
+ * Example projects.yml:
+ *
+ *   defaults:
+ *     baseUrl: https://api-inovace360.com/reseller/api/v1/logs
+ *     apiTokenEnv: TIPSOI_API_TOKEN
+ *     spreadsheetId: 1AbC...
+ *   projects:
+ *     - key: factory-a
+ *       name: Factory A
+ *       projectCode: FA01        # reseller filter
+ *       sheetName: Factory A
+ *     - key: head-office
+ *       baseUrl: https://api-inovace360.com/api/v1/logs
+ *       apiTokenEnv: HEAD_OFFICE_TOKEN
+ *       spreadsheetId: 1XyZ...
+ */
+class ProjectRegistry {
+  constructor(projects = []) {
+    this.projects = new Map();
+    projects.forEach((project) => this.register(project));
+  }
+
+  /**
+   * Load the registry from PROJECTS_CONFIG, or fall back to the environment
+   */
+  static fromEnv() {
+    const configPath = process.env.PROJECTS_CONFIG;
+    if (!configPath) {
+      return new ProjectRegistry([ProjectRegistry.defaultProject()]);
+    }
+    return ProjectRegistry.fromFile(configPath);
+  }
+
+  /**
+   * Load the registry from a JSON or YAML file
+   */
+  static fromFile(configPath) {
+    const config = readConfigFile(configPath);
+
+    if (!config || !Array.isArray(config.projects)) {
+      throw new Error(`Projects config must contain a "projects" list`);
+    }
+
+    const defaults = {
+      ...ProjectRegistry.defaultProject(),
+      ...(config.defaults || {}),
+    };
+    delete defaults.key;
+    delete defaults.name;
+
+    return new ProjectRegistry(
+      config.projects.map((project) => ({ ...defaults, ...project }))
+    );
+  }
+
+  /**
+   * Single project configured through environment variables
+   */
+  static defaultProject() {
+    return {
+      key: process.env.TIPSOI_PROJECT_KEY || "default",
+      name: process.env.TIPSOI_PROJECT_NAME || "Default",
+      baseUrl: process.env.TIPSOI_BASE_URL,
+      apiToken: process.env.TIPSOI_API_TOKEN,
+      timezone: process.env.TIPSOI_TIMEZONE || "UTC",
+      spreadsheetId: process.env.GOOGLE_SHEETS_ID,
+    };
+  }
+
+  /**
+   * Validate and add a project definition
+   */
+  register(project) {
+    if (!project.key) {
+      throw new Error("Every project needs a key");
+    }
+    if (this.projects.has(project.key)) {
+      throw new Error(`Duplicate project key: ${project.key}`);
+    }
+
+    const resolved = { ...project };
+    if (resolved.apiTokenEnv) {
+      resolved.apiToken = process.env[resolved.apiTokenEnv];
+    }
+    delete resolved.apiTokenEnv;
+
+    if (!resolved.baseUrl) {
+      throw new Error(`Project ${project.key} has no baseUrl`);
+    }
+    if (!resolved.apiToken) {
+      throw new Error(`Project ${project.key} has no apiToken`);
+    }
+    // Sheets sinks (the default when no sinks are listed) need a spreadsheet
+    const sinks = resolved.sinks || [{ type: "sheets" }];
+    const needsSpreadsheet = sinks.some(
+      (sink) => sink.type === "sheets" && !sink.spreadsheetId
+    );
+    if (needsSpreadsheet && !resolved.spreadsheetId) {
+      throw new Error(`Project ${project.key} has no spreadsheetId`);
+    }
+
+    this.projects.set(resolved.key, {
+      name: resolved.key,
+      ...resolved,
+    });
+  }
+
+  get(key) {
+    return this.projects.get(key) || null;
+  }
+
+  getAll() {
+    return Array.from(this.projects.values());
+  }
+
+  keys() {
+    return Array.from(this.projects.keys());
+  }
+
+  get size() {
+    return this.projects.size;
+  }
+}
+
+module.exports = ProjectRegistry;
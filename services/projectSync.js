@@ -0,0 +1,1193 @@
+const AttendanceService = require("./attendanceService");
+const { createSinks } = require("./sinks");
+const TimesheetService = require("./timesheetService");
+const ShiftService = require("./shiftService");
+const RecordRules = require("./recordRules");
+const { ATTENDANCE_HEADERS, toAttendanceRow } = require("./attendanceColumns");
+const metrics = require("./metrics");
+const logger = require("./logger");
+
+/**
+ * Sync pipeline for a single TIPSOI project: fetch, process and write to the
+ * project's sinks (its spreadsheet/tab by default), tracking its own
+ * checkpoint and status.
+ */
+class ProjectSync {
+  constructor(project, options = {}) {
+    this.key = project.key;
+    this.name = project.name || project.key;
+    this.logger = logger.child({ project: project.key });
+    // A project may bring its own rules file, otherwise the shared rules
+    this.attendanceService = new AttendanceService({
+      ...project,
+      rules: project.rulesConfig
+        ? RecordRules.fromFile(project.rulesConfig)
+        : options.recordRules
+        ? options.recordRules.copy()
+        : new RecordRules(),
+      directory: options.directory,
+    });
+    this.sinks = createSinks(project);
+    // Summary and exceptions tabs go to the first Google Sheets sink
+    this.googleSheetsService =
+      this.sinks.find((sink) => sink.type === "sheets") || null;
+    this.sinkStats = new Map(
+      this.sinks.map((sink) => [
+        sink.name,
+        {
+          successCount: 0,
+          failureCount: 0,
+          recordsWritten: 0,
+          lastSuccessAt: null,
+          lastFailureAt: null,
+          lastError: null,
+        },
+      ])
+    );
+    this.timesheetService = new TimesheetService({
+      parseDateTime: (value) => this.attendanceService.parseDateTime(value),
+    });
+    this.summarySheetName =
+      project.summarySheetName ||
+      (project.sheetName
+        ? `${project.sheetName} Daily Summary`
+        : "Daily Summary");
+    this.dailySummaryEnabled =
+      project.dailySummary !== undefined
+        ? project.dailySummary
+        : process.env.DAILY_SUMMARY_ENABLED === "true";
+    // A project may bring its own shift roster, otherwise the shared one
+    this.shiftService = project.shiftsConfig
+      ? ShiftService.fromFile(project.shiftsConfig)
+      : options.shiftService || new ShiftService();
+    this.exceptionsSheetName =
+      project.exceptionsSheetName ||
+      (project.sheetName ? `${project.sheetName} Exceptions` : "Exceptions");
+    this.exceptionsEnabled =
+      project.exceptions !== undefined
+        ? project.exceptions
+        : process.env.EXCEPTIONS_SHEET_ENABLED === "true";
+    this.checkpointStore = options.checkpointStore;
+    this.quarantine = options.quarantine || null;
+    this.directory = options.directory || null;
+    this.devices = options.devices || null;
+    this.checkpoint = null;
+    this.isRunning = false;
+    this.lastSyncResult = null;
+    this.lastIngestResult = null;
+    // Serializes sink writes from polling and push ingestion
+    this.writeLock = Promise.resolve();
+  }
+
+  /**
+   * Whether every sink is ready
+   */
+  get initialized() {
+    return this.sinks.every((sink) => sink.initialized);
+  }
+
+  /**
+   * Initialize the sinks (headers, tables, indexes) and load the checkpoint.
+   * A sink that fails here is retried on the next sync; only fails when no
+   * sink could initialize.
+   */
+  async initialize() {
+    try {
+      this.logger.info("Initializing project sync");
+
+      const results = await Promise.allSettled(
+        this.sinks.map((sink) => sink.init())
+      );
+      results.forEach((result, index) => {
+        if (result.status === "rejected") {
+          this.logger.error("Sink failed to initialize", {
+            sink: this.sinks[index].name,
+            error: result.reason,
+          });
+        }
+      });
+      if (results.every((result) => result.status === "rejected")) {
+        throw results[0].reason;
+      }
+
+      // Load the persisted sync checkpoint
+      this.checkpoint = await this.checkpointStore.get(this.key);
+      this.logger.info(
+        this.checkpoint
+          ? "Resuming from checkpoint"
+          : "No sync checkpoint found, first sync will cover the last 24 hours",
+        { checkpoint: this.checkpoint?.syncTime }
+      );
+
+      this.logger.info("Project sync initialized");
+      return true;
+    } catch (error) {
+      this.logger.error("Failed to initialize project sync", { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Perform a single sync operation
+   */
+  async performSync() {
+    const syncStartTime = new Date();
+    this.logger.info("Starting sync");
+
+    if (this.isRunning) {
+      this.logger.warn("Sync already running, skipping this cycle");
+      return {
+        success: false,
+        message: "Sync already in progress",
+        skipped: true,
+        project: this.key,
+        timestamp: syncStartTime,
+      };
+    }
+
+    try {
+      this.isRunning = true;
+      this.collectAttempts(); // Discard attempts made outside a sync
+
+      // Fetch attendance data since the last checkpoint
+      this.checkpoint = await this.checkpointStore.get(this.key);
+      const attendanceResult =
+        await this.attendanceService.getRecentAttendanceData({
+          since: this.checkpoint?.syncTime,
+        });
+
+      if (!attendanceResult.records || attendanceResult.records.length === 0) {
+        this.logger.info("No new attendance records found");
+        this.lastSyncResult = {
+          success: true,
+          message: "No new records",
+          recordsFetched: 0,
+          recordsAdded: 0,
+          pagesFetched: attendanceResult.pagesFetched || 0,
+          totalPages: attendanceResult.lastPage || 0,
+          window: attendanceResult.window,
+          attempts: this.collectAttempts(),
+          project: this.key,
+          timestamp: syncStartTime,
+          duration: Date.now() - syncStartTime.getTime(),
+        };
+        return this.lastSyncResult;
+      }
+
+      // Process attendance records
+      const { processedRecords, recordsQuarantined } = this.processRecords(
+        attendanceResult.records,
+        attendanceResult.project,
+        "sync"
+      );
+
+      // Records past MAX_PAGES may sort below the fetched ones, so a cut
+      // short fetch never moves the checkpoint
+      const truncatedMessage = attendanceResult.truncated
+        ? `Fetch stopped at MAX_PAGES (${this.attendanceService.maxPages}); checkpoint not moved`
+        : null;
+
+      if (processedRecords.length === 0) {
+        this.logger.info("No valid attendance records to sync");
+        if (!attendanceResult.truncated) {
+          await this.advanceCheckpoint(attendanceResult.records);
+        }
+        this.lastSyncResult = {
+          success: !attendanceResult.truncated,
+          message: truncatedMessage || "No valid records to sync",
+          recordsFetched: attendanceResult.records.length,
+          recordsAdded: 0,
+          recordsQuarantined,
+          pagesFetched: attendanceResult.pagesFetched || 0,
+          totalPages: attendanceResult.lastPage || 0,
+          truncated: attendanceResult.truncated,
+          window: attendanceResult.window,
+          attempts: this.collectAttempts(),
+          project: this.key,
+          timestamp: syncStartTime,
+          duration: Date.now() - syncStartTime.getTime(),
+        };
+        return this.lastSyncResult;
+      }
+
+      this.logger.info("Writing records to sinks", {
+        records: processedRecords.length,
+        sinks: this.sinks.length,
+      });
+      const { sinks: sinkResults, createdRecords } = await this.writeToSinks(
+        processedRecords
+      );
+      const failedSinks = this.getFailedSinks(sinkResults);
+
+      // Only move the checkpoint once every sink has the records; the next
+      // sync fetches them again and sinks that succeeded skip them
+      if (failedSinks.length === 0 && !attendanceResult.truncated) {
+        await this.advanceCheckpoint(attendanceResult.records);
+      }
+
+      const reports = await this.refreshReports(processedRecords);
+
+      const syncEndTime = new Date();
+      const duration = syncEndTime.getTime() - syncStartTime.getTime();
+
+      this.lastSyncResult = {
+        success: failedSinks.length === 0 && !attendanceResult.truncated,
+        message:
+          failedSinks.length > 0
+            ? `Sync failed for sink(s): ${failedSinks.join(", ")}`
+            : truncatedMessage || "Sync completed successfully",
+        recordsFetched: attendanceResult.records.length,
+        // New records in the primary (first) sink
+        recordsAdded: sinkResults[this.sinks[0].name].recordsAdded,
+        recordsSkipped: this.countSkipped(
+          processedRecords,
+          createdRecords,
+          sinkResults
+        ),
+        recordsQuarantined,
+        pagesFetched: attendanceResult.pagesFetched || 0,
+        totalPages: attendanceResult.lastPage || 0,
+        truncated: attendanceResult.truncated,
+        window: attendanceResult.window,
+        checkpoint: this.checkpoint?.syncTime || null,
+        sinks: sinkResults,
+        dailySummary: reports.dailySummary,
+        exceptions: reports.exceptions,
+        attempts: this.collectAttempts(),
+        project: this.key,
+        timestamp: syncStartTime,
+        duration: duration,
+      };
+
+      this.logger[this.lastSyncResult.success ? "info" : "warn"](
+        "Sync finished",
+        {
+          success: this.lastSyncResult.success,
+          pagesFetched: this.lastSyncResult.pagesFetched,
+          totalPages: this.lastSyncResult.totalPages,
+          recordsFetched: this.lastSyncResult.recordsFetched,
+          recordsAdded: this.lastSyncResult.recordsAdded,
+          recordsQuarantined,
+          durationMs: duration,
+        }
+      );
+
+      // The new records themselves are handed to the caller (for webhooks)
+      // but not kept in lastSyncResult
+      return { ...this.lastSyncResult, createdRecords };
+    } catch (error) {
+      this.logger.error("Sync failed", { error });
+
+      this.lastSyncResult = {
+        success: false,
+        message: error.message,
+        error: error.name,
+        recordsFetched: 0,
+        recordsAdded: 0,
+        attempts: this.collectAttempts(),
+        project: this.key,
+        timestamp: syncStartTime,
+        duration: Date.now() - syncStartTime.getTime(),
+      };
+
+      return this.lastSyncResult;
+    } finally {
+      this.isRunning = false;
+      metrics.observeSync(
+        this.key,
+        this.lastSyncResult.success,
+        this.lastSyncResult.duration
+      );
+    }
+  }
+
+  /**
+   * Push ingestion: validate pushed records and write them through the same
+   * processing and sinks as a sync. The checkpoint is left alone, so the
+   * next poll still picks up (and dedupes) anything a push missed.
+   */
+  async ingestRecords(payload) {
+    const startTime = new Date();
+    const records = payload.records;
+    const projectRecords = new Set(
+      this.attendanceService.filterProjectRecords(records)
+    );
+    const project = payload.project || {};
+    const seen = new Set();
+    const processedRecords = [];
+    const rejected = [];
+    let duplicates = 0;
+
+    records.forEach((record, index) => {
+      if (!record || typeof record !== "object") {
+        rejected.push({ index, uid: null, reason: "Not an object" });
+        return;
+      }
+      if (!projectRecords.has(record)) {
+        rejected.push({
+          index,
+          uid: record.uid || null,
+          reason: `Not a ${this.attendanceService.projectCode} record`,
+        });
+        return;
+      }
+
+      const { valid, rejected: invalid } =
+        this.attendanceService.partitionAttendanceRecords([record], project);
+      if (invalid.length > 0) {
+        rejected.push({
+          index,
+          uid: record.uid || null,
+          reason: invalid[0].reasons.join("; "),
+          reasons: invalid[0].reasons,
+        });
+      } else if (seen.has(valid[0].uid)) {
+        duplicates += 1;
+      } else {
+        seen.add(valid[0].uid);
+        processedRecords.push(valid[0]);
+      }
+    });
+
+    metrics.countRecords(this.key, {
+      fetched: records.length,
+      deduped: duplicates,
+      rejected: rejected.length,
+    });
+    this.noteUnknownEmployees(processedRecords);
+    const recordsQuarantined = this.quarantineRecords(
+      rejected
+        .filter((entry) => entry.reasons)
+        .map((entry) => ({
+          record: records[entry.index],
+          reasons: entry.reasons,
+        })),
+      { source: "ingest", project }
+    );
+    this.logger.info("Ingesting pushed records", {
+      accepted: processedRecords.length,
+      rejected: rejected.length,
+    });
+
+    const { sinks: sinkResults, createdRecords } =
+      processedRecords.length > 0
+        ? await this.writeToSinks(processedRecords)
+        : { sinks: {}, createdRecords: [] };
+    const failedSinks = this.getFailedSinks(sinkResults);
+
+    this.lastIngestResult = {
+      success: failedSinks.length === 0,
+      message:
+        failedSinks.length === 0
+          ? "Records ingested"
+          : `Ingest failed for sink(s): ${failedSinks.join(", ")}`,
+      received: records.length,
+      accepted: processedRecords.length,
+      recordsAdded: createdRecords.length,
+      duplicates: duplicates + processedRecords.length - createdRecords.length,
+      rejected,
+      recordsQuarantined,
+      sinks: sinkResults,
+      project: this.key,
+      timestamp: startTime,
+      duration: Date.now() - startTime.getTime(),
+    };
+    return { ...this.lastIngestResult, createdRecords };
+  }
+
+  /**
+   * Collect the retry attempts made by TIPSOI and the sinks since the last
+   * call
+   */
+  collectAttempts() {
+    return [
+      ...this.attendanceService.retryPolicy.drainAttempts(),
+      ...this.sinks
+        .filter((sink) => sink.retryPolicy)
+        .flatMap((sink) => sink.retryPolicy.drainAttempts()),
+    ].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Process fetched records, quarantining the ones that fail validation
+   */
+  processRecords(records, project, source) {
+    const { valid, rejected } =
+      this.attendanceService.partitionAttendanceRecords(records, project);
+
+    this.logger.info("Processed records", {
+      valid: valid.length,
+      total: records.length,
+    });
+    metrics.countRecords(this.key, {
+      fetched: records.length,
+      rejected: rejected.length,
+    });
+
+    this.noteUnknownEmployees(valid);
+    return {
+      processedRecords: valid,
+      recordsQuarantined: this.quarantineRecords(rejected, {
+        source,
+        project,
+      }),
+    };
+  }
+
+  /**
+   * Let the employee directory know about punches it had no entry for
+   */
+  noteUnknownEmployees(records) {
+    if (this.directory && this.directory.enabled) {
+      this.directory.noteUnknown(this.key, records);
+    }
+  }
+
+  /**
+   * Keep rejects ({ record, reasons }) for review. Without a quarantine
+   * store they are only counted in the log, as before.
+   */
+  quarantineRecords(rejects, options = {}) {
+    if (rejects.length === 0) {
+      return 0;
+    }
+    if (!this.quarantine) {
+      this.logger.warn("Filtered out invalid records", {
+        records: rejects.length,
+      });
+      return 0;
+    }
+
+    this.logger.warn("Quarantined invalid records", {
+      records: rejects.length,
+    });
+    return this.quarantine.add(this.key, rejects, options);
+  }
+
+  /**
+   * Write a quarantined record to the sinks, with optional field fixes.
+   * The record must pass validation unless `force` is set (e.g. for a
+   * device type the service doesn't know yet). The entry is removed once
+   * every sink has it.
+   */
+  async replayQuarantined(id, { fields = {}, force = false } = {}) {
+    const entry = this.quarantine.get(this.key, id);
+    const record = { ...entry.record, ...fields };
+
+    const { record: transformed, errors: reasons } =
+      this.attendanceService.applyRules(record);
+    if (!transformed.uid || (reasons.length > 0 && !force)) {
+      return {
+        success: false,
+        message: `Record still fails validation: ${reasons.join("; ")}`,
+        reasons,
+        project: this.key,
+      };
+    }
+
+    const processedRecord = this.attendanceService.normalizeRecord(
+      transformed,
+      entry.sourceProject
+    );
+    const { sinks: sinkResults, createdRecords } = await this.writeToSinks([
+      processedRecord,
+    ]);
+    const failedSinks = this.getFailedSinks(sinkResults);
+
+    if (failedSinks.length > 0) {
+      return {
+        success: false,
+        message: `Replay failed for sink(s): ${failedSinks.join(", ")}`,
+        sinks: sinkResults,
+        project: this.key,
+        createdRecords: [],
+      };
+    }
+
+    this.quarantine.remove(this.key, id);
+    this.logger.info("Replayed quarantined record", { id });
+    return {
+      success: true,
+      message:
+        createdRecords.length > 0
+          ? "Record replayed"
+          : "Record was already in the sinks",
+      record: processedRecord,
+      recordsAdded: createdRecords.length,
+      sinks: sinkResults,
+      project: this.key,
+      createdRecords,
+    };
+  }
+
+  /**
+   * Write records to the sinks, one batch at a time so a push and a poll
+   * can't both see the same record as new
+   */
+  async writeToSinks(records) {
+    const write = this.writeLock.then(() => this.writeBatchToSinks(records));
+    this.writeLock = write.catch(() => {});
+    return await write;
+  }
+
+  /**
+   * Write records to every sink independently, initializing sinks that
+   * failed to start. Returns a result per sink name, with its running
+   * success/failure counts, and the records that were new to the primary
+   * (first) sink.
+   */
+  async writeBatchToSinks(records) {
+    let createdRecords = [];
+
+    const results = await Promise.all(
+      this.sinks.map(async (sink) => {
+        const startedAt = Date.now();
+        const stats = this.sinkStats.get(sink.name);
+
+        try {
+          if (!sink.initialized) {
+            await sink.init();
+          }
+          const newRecords = await sink.dedupe(records);
+          const recordsAdded = await sink.writeBatch(newRecords);
+          if (sink === this.sinks[0]) {
+            createdRecords = newRecords;
+          }
+
+          stats.successCount += 1;
+          stats.recordsWritten += recordsAdded;
+          stats.lastSuccessAt = new Date();
+          return {
+            name: sink.name,
+            type: sink.type,
+            success: true,
+            recordsAdded,
+            duration: Date.now() - startedAt,
+            successCount: stats.successCount,
+            failureCount: stats.failureCount,
+          };
+        } catch (error) {
+          this.logger.error("Sink write failed", { sink: sink.name, error });
+
+          metrics.countError(this.key, "sink_write");
+          stats.failureCount += 1;
+          stats.lastFailureAt = new Date();
+          stats.lastError = error.message;
+          return {
+            name: sink.name,
+            type: sink.type,
+            success: false,
+            recordsAdded: 0,
+            message: error.message,
+            duration: Date.now() - startedAt,
+            successCount: stats.successCount,
+            failureCount: stats.failureCount,
+          };
+        }
+      })
+    );
+
+    // Added and deduped are counted against the primary sink
+    if (results[0].success) {
+      metrics.countRecords(this.key, {
+        added: createdRecords.length,
+        deduped: records.length - createdRecords.length,
+      });
+    }
+
+    // Device activity counts each punch once, when it is first written
+    // and never fails the write: the records are already in the sinks
+    if (this.devices) {
+      try {
+        this.devices.record(this.key, createdRecords);
+      } catch (error) {
+        this.logger.error("Device activity update failed", { error });
+      }
+    }
+
+    return {
+      sinks: results.reduce((acc, { name, ...result }) => {
+        acc[name] = result;
+        return acc;
+      }, {}),
+      createdRecords,
+    };
+  }
+
+  /**
+   * Valid records the primary sink already had (0 when its write failed)
+   */
+  countSkipped(processedRecords, createdRecords, sinkResults) {
+    return sinkResults[this.sinks[0].name].success
+      ? processedRecords.length - createdRecords.length
+      : 0;
+  }
+
+  getFailedSinks(sinkResults) {
+    return Object.keys(sinkResults).filter(
+      (name) => !sinkResults[name].success
+    );
+  }
+
+  /**
+   * The Google Sheets sink used for summary tabs
+   */
+  requireSheetsSink() {
+    if (!this.googleSheetsService) {
+      throw new Error(`Project ${this.key} has no Google Sheets sink`);
+    }
+    return this.googleSheetsService;
+  }
+
+  /**
+   * Move the checkpoint forward to the highest sync_time in the records
+   */
+  async advanceCheckpoint(records) {
+    const highWaterMark = this.attendanceService.getHighWaterMark(records);
+    if (!highWaterMark) {
+      return this.checkpoint;
+    }
+
+    this.checkpoint = await this.checkpointStore.advance(
+      this.key,
+      highWaterMark
+    );
+    return this.checkpoint;
+  }
+
+  /**
+   * Rewind (or clear) the sync checkpoint so the next sync replays from there
+   */
+  async rewindCheckpoint(syncTime) {
+    if (this.isRunning) {
+      throw new Error("Cannot rewind checkpoint while a sync is running");
+    }
+
+    const value =
+      syncTime === null
+        ? null
+        : this.attendanceService.toTipsoiDateTime(syncTime);
+    this.checkpoint = await this.checkpointStore.set(this.key, value);
+
+    this.logger.info("Checkpoint set", { checkpoint: value });
+    return this.checkpoint;
+  }
+
+  /**
+   * Rebuild the local UID dedup index from the sheet
+   */
+  async reindexSheet() {
+    if (this.isRunning) {
+      throw new Error("Cannot rebuild UID index while a sync is running");
+    }
+
+    const sheets = this.requireSheetsSink();
+    this.isRunning = true;
+    try {
+      return await sheets.reindex();
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Shift a YYYY-MM-DD date string by a number of days
+   */
+  addDays(date, days) {
+    const [year, month, day] = date.split("-").map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days))
+      .toISOString()
+      .slice(0, 10);
+  }
+
+  /**
+   * Compute daily timesheets for the local calendar days startDate..endDate
+   * (YYYY-MM-DD). Punches are fetched by logged_time with a margin on both
+   * sides so overnight shifts are grouped correctly.
+   */
+  async getTimesheets(startDate, endDate, filters = {}) {
+    const marginMs = this.timesheetService.maxShiftHours * 60 * 60 * 1000;
+    const windowStart = this.attendanceService.parseDateTime(
+      `${startDate} 00:00:00`
+    );
+    const windowEnd = this.attendanceService.parseDateTime(
+      `${this.addDays(endDate, 1)} 00:00:00`
+    );
+
+    const attendanceResult = await this.attendanceService.getAttendanceData(
+      new Date(windowStart.getTime() - marginMs),
+      new Date(windowEnd.getTime() + marginMs),
+      "logged_time"
+    );
+    const processedRecords = this.attendanceService.processAttendanceRecords(
+      attendanceResult.records,
+      attendanceResult.project
+    );
+
+    return this.timesheetService
+      .computeDailyTimesheets(processedRecords)
+      .filter(
+        (day) =>
+          day.date >= startDate &&
+          day.date <= endDate &&
+          (!filters.person_identifier ||
+            day.person_identifier === filters.person_identifier)
+      );
+  }
+
+  /**
+   * Recompute the "Daily Summary" rows for startDate..endDate
+   */
+  async publishDailySummary(startDate, endDate, timesheets = null) {
+    const days = timesheets || (await this.getTimesheets(startDate, endDate));
+    const rowsWritten = await this.requireSheetsSink().replaceRows(
+      this.summarySheetName,
+      TimesheetService.SHEET_HEADERS,
+      this.timesheetService.toSheetRows(days),
+      (row) => row[0] >= startDate && row[0] <= endDate
+    );
+
+    return {
+      success: true,
+      sheetName: this.summarySheetName,
+      startDate,
+      endDate,
+      rowsWritten,
+    };
+  }
+
+  /**
+   * Late, early-leave, absent and on-time statuses for startDate..endDate
+   */
+  async getExceptions(startDate, endDate, filters = {}, timesheets = null) {
+    if (!this.shiftService.configured) {
+      throw new Error("No shifts configured (SHIFTS_CONFIG)");
+    }
+
+    const days = timesheets || (await this.getTimesheets(startDate, endDate));
+    const now = this.attendanceService.formatDateTime(new Date());
+
+    return this.shiftService
+      .evaluate(days, startDate, endDate, now)
+      .filter(
+        (entry) =>
+          (!filters.person_identifier ||
+            entry.person_identifier === filters.person_identifier) &&
+          (!filters.statuses ||
+            filters.statuses.some((status) => entry.statuses.includes(status)))
+      );
+  }
+
+  /**
+   * Rewrite the "Exceptions" rows (everything but on_time and off) for
+   * startDate..endDate
+   */
+  async publishExceptions(startDate, endDate, timesheets = null) {
+    const entries = await this.getExceptions(
+      startDate,
+      endDate,
+      { statuses: ["absent", "late", "early_leave"] },
+      timesheets
+    );
+    const rowsWritten = await this.requireSheetsSink().replaceRows(
+      this.exceptionsSheetName,
+      ShiftService.SHEET_HEADERS,
+      this.shiftService.toSheetRows(entries),
+      (row) => row[0] >= startDate && row[0] <= endDate
+    );
+
+    return {
+      success: true,
+      sheetName: this.exceptionsSheetName,
+      startDate,
+      endDate,
+      rowsWritten,
+    };
+  }
+
+  /**
+   * Sync step: refresh the summary and exceptions tabs for the days touched
+   * by new records (through today). Failures are reported in the sync result
+   * without failing the sync.
+   */
+  async refreshReports(records) {
+    const reports = {};
+    if (!this.dailySummaryEnabled && !this.exceptionsEnabled) {
+      return reports;
+    }
+
+    const dates = records
+      .map((record) => record.logged_time.slice(0, 10))
+      .sort();
+    if (dates.length === 0) {
+      return reports;
+    }
+
+    // Include the previous day, an overnight shift may have started there
+    const startDate = this.addDays(dates[0], -1);
+    const today = this.attendanceService
+      .formatDateTime(new Date())
+      .slice(0, 10);
+    const endDate =
+      dates[dates.length - 1] > today ? dates[dates.length - 1] : today;
+
+    const runStep = async (name, step) => {
+      try {
+        return await step();
+      } catch (error) {
+        this.logger.error("Report update failed", { report: name, error });
+        return { success: false, message: error.message };
+      }
+    };
+
+    let timesheets;
+    try {
+      timesheets = await this.getTimesheets(startDate, endDate);
+    } catch (error) {
+      this.logger.error("Timesheet computation failed", { error });
+      const failed = { success: false, message: error.message };
+      return {
+        dailySummary: this.dailySummaryEnabled ? failed : undefined,
+        exceptions: this.exceptionsEnabled ? failed : undefined,
+      };
+    }
+
+    if (this.dailySummaryEnabled) {
+      reports.dailySummary = await runStep("Daily summary", () =>
+        this.publishDailySummary(startDate, endDate, timesheets)
+      );
+    }
+    if (this.exceptionsEnabled) {
+      reports.exceptions = await runStep("Exceptions", () =>
+        this.publishExceptions(startDate, endDate, timesheets)
+      );
+    }
+
+    return reports;
+  }
+
+  /**
+   * Fetch and process records for a time window without writing them
+   * anywhere or touching the checkpoint
+   */
+  async fetchAttendanceData(startTime, endTime, criteria = "logged_time") {
+    const fetchStartTime = new Date();
+    const attendanceResult = await this.attendanceService.getAttendanceData(
+      startTime,
+      endTime,
+      criteria
+    );
+    const processedRecords = this.attendanceService.processAttendanceRecords(
+      attendanceResult.records,
+      attendanceResult.project
+    );
+
+    return {
+      records: processedRecords,
+      project: this.key,
+      recordsFetched: attendanceResult.records.length,
+      recordsValid: processedRecords.length,
+      pagesFetched: attendanceResult.pagesFetched || 0,
+      duration: Date.now() - fetchStartTime.getTime(),
+    };
+  }
+
+  /**
+   * Yield processed records page by page for a time window, so exports can
+   * stream them. Read-only, like fetchAttendanceData.
+   */
+  async *iterateAttendanceData(startTime, endTime, criteria = "logged_time") {
+    for await (const page of this.attendanceService.iterateAttendancePages(
+      startTime,
+      endTime,
+      criteria
+    )) {
+      yield this.attendanceService.processAttendanceRecords(
+        this.attendanceService.filterProjectRecords(page.records),
+        page.project
+      );
+    }
+  }
+
+  /**
+   * Get project sync status
+   */
+  getStatus() {
+    return {
+      key: this.key,
+      name: this.name,
+      initialized: this.initialized,
+      syncInProgress: this.isRunning,
+      lastSyncResult: this.lastSyncResult,
+      lastIngestResult: this.lastIngestResult,
+      checkpoint: this.checkpoint,
+      checkpointStore: this.checkpointStore.type,
+      dailySummary: this.dailySummaryEnabled ? this.summarySheetName : false,
+      exceptions: this.exceptionsEnabled ? this.exceptionsSheetName : false,
+      shifts: this.shiftService.getStatus(),
+      rules: this.attendanceService.rules.getStatus(),
+      quarantined: this.quarantine
+        ? this.quarantine.countByProject()[this.key] || 0
+        : 0,
+      sinks: this.sinks.map((sink) => ({
+        ...sink.getStatus(),
+        ...this.sinkStats.get(sink.name),
+      })),
+      attendanceServiceStatus: this.attendanceService.getStatus(),
+    };
+  }
+
+  /**
+   * Test the project's TIPSOI connection and the health of every sink
+   */
+  async testServices() {
+    const testResults = {
+      timestamp: new Date().toISOString(),
+      tests: {},
+    };
+
+    try {
+      // Test attendance service
+      this.logger.debug("Testing attendance service");
+      testResults.tests.attendanceService =
+        await this.attendanceService.testConnection();
+
+      // Check every sink
+      this.logger.debug("Checking sinks");
+      testResults.tests.sinks = {};
+      for (const sink of this.sinks) {
+        const health = await sink.health();
+        testResults.tests.sinks[sink.name] = {
+          type: sink.type,
+          success: health.healthy,
+          ...health,
+        };
+      }
+
+      // Overall status
+      testResults.overallSuccess =
+        testResults.tests.attendanceService.success &&
+        Object.values(testResults.tests.sinks).every((test) => test.success);
+
+      return testResults;
+    } catch (error) {
+      testResults.error = error.message;
+      testResults.overallSuccess = false;
+      return testResults;
+    }
+  }
+
+  /**
+   * Perform manual sync with custom date range
+   */
+  async performManualSync(startDate, endDate, criteria = "sync_time") {
+    const syncStartTime = new Date();
+    const window = { start: startDate, end: endDate, criteria };
+    this.logger.info("Starting manual sync", {
+      criteria,
+      start: startDate.toISOString(),
+      end: endDate.toISOString(),
+    });
+
+    if (this.isRunning) {
+      return {
+        success: false,
+        message: "Another sync operation is already running",
+        error: "Error",
+        skipped: true,
+        project: this.key,
+        timestamp: syncStartTime,
+        duration: Date.now() - syncStartTime.getTime(),
+      };
+    }
+
+    try {
+      this.isRunning = true;
+      this.collectAttempts(); // Discard attempts made outside a sync
+
+      // Fetch attendance data for the specified range
+      const attendanceResult =
+        await this.attendanceService.getAttendanceDataForRange(
+          startDate,
+          endDate,
+          criteria
+        );
+
+      if (!attendanceResult.records || attendanceResult.records.length === 0) {
+        return {
+          success: true,
+          message: "No records found in the specified date range",
+          recordsFetched: 0,
+          recordsAdded: 0,
+          pagesFetched: attendanceResult.pagesFetched || 0,
+          totalPages: attendanceResult.lastPage || 0,
+          window,
+          attempts: this.collectAttempts(),
+          project: this.key,
+          timestamp: syncStartTime,
+          duration: Date.now() - syncStartTime.getTime(),
+        };
+      }
+
+      // Process and sync records
+      const { processedRecords, recordsQuarantined } = this.processRecords(
+        attendanceResult.records,
+        attendanceResult.project,
+        "range"
+      );
+
+      const { sinks: sinkResults, createdRecords } = await this.writeToSinks(
+        processedRecords
+      );
+      const failedSinks = this.getFailedSinks(sinkResults);
+
+      const duration = Date.now() - syncStartTime.getTime();
+
+      return {
+        success: failedSinks.length === 0 && !attendanceResult.truncated,
+        message:
+          failedSinks.length > 0
+            ? `Manual sync failed for sink(s): ${failedSinks.join(", ")}`
+            : attendanceResult.truncated
+            ? `Fetch stopped at MAX_PAGES (${this.attendanceService.maxPages}); narrow the range or raise MAX_PAGES`
+            : "Manual sync completed successfully",
+        recordsFetched: attendanceResult.records.length,
+        recordsAdded: sinkResults[this.sinks[0].name].recordsAdded,
+        recordsSkipped: this.countSkipped(
+          processedRecords,
+          createdRecords,
+          sinkResults
+        ),
+        recordsQuarantined,
+        sinks: sinkResults,
+        pagesFetched: attendanceResult.pagesFetched || 0,
+        totalPages: attendanceResult.lastPage || 0,
+        truncated: attendanceResult.truncated,
+        window,
+        attempts: this.collectAttempts(),
+        project: this.key,
+        timestamp: syncStartTime,
+        duration: duration,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message,
+        error: error.name,
+        window,
+        attempts: this.collectAttempts(),
+        project: this.key,
+        timestamp: syncStartTime,
+        duration: Date.now() - syncStartTime.getTime(),
+      };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Dry run of a sync (since the checkpoint) or, with startDate/endDate, of
+   * a range sync: fetch, validate and dedupe against the sinks, but write
+   * nothing, quarantine nothing and leave the checkpoint alone. Returns the
+   * rows the primary sink would get, the duplicates it already has and the
+   * validation rejects, each list cut at `maxItems`.
+   */
+  async previewSync({ startDate, endDate, criteria = "sync_time", maxItems }) {
+    const startTime = new Date();
+    const limit = (list) => list.slice(0, maxItems);
+
+    try {
+      const checkpoint = await this.checkpointStore.get(this.key);
+      const attendanceResult = startDate
+        ? {
+            ...(await this.attendanceService.getAttendanceDataForRange(
+              startDate,
+              endDate,
+              criteria
+            )),
+            window: { start: startDate, end: endDate, criteria },
+          }
+        : await this.attendanceService.getRecentAttendanceData({
+            since: checkpoint?.syncTime,
+          });
+
+      const records = attendanceResult.records || [];
+      const { valid, rejected } =
+        this.attendanceService.partitionAttendanceRecords(
+          records,
+          attendanceResult.project,
+          { count: false }
+        );
+
+      // Sinks that failed to start are left out: initializing one writes
+      // its header row
+      const sinks = {};
+      let newRecords = null;
+      for (const sink of this.sinks) {
+        if (!sink.initialized) {
+          sinks[sink.name] = {
+            success: false,
+            message: "Sink is not initialized",
+          };
+          continue;
+        }
+        const sinkRecords = await sink.dedupe(valid, { readOnly: true });
+        sinks[sink.name] = { success: true, recordsToAdd: sinkRecords.length };
+        if (sink === this.sinks[0]) {
+          newRecords = sinkRecords;
+        }
+      }
+
+      if (!newRecords) {
+        throw new Error(`Sink ${this.sinks[0].name} is not initialized`);
+      }
+
+      const created = new Set(newRecords);
+      const duplicates = valid.filter((record) => !created.has(record));
+      const truncated = [newRecords, duplicates, rejected].some(
+        (list) => list.length > maxItems
+      );
+
+      this.logger.info("Dry run finished", {
+        recordsFetched: records.length,
+        recordsToAdd: newRecords.length,
+        duplicates: duplicates.length,
+        rejected: rejected.length,
+      });
+
+      return {
+        success: true,
+        dryRun: true,
+        message: "Dry run completed, nothing was written",
+        recordsFetched: records.length,
+        recordsToAdd: newRecords.length,
+        recordsSkipped: duplicates.length,
+        recordsRejected: rejected.length,
+        window: attendanceResult.window,
+        checkpoint: checkpoint?.syncTime || null,
+        columns: ATTENDANCE_HEADERS,
+        rows: limit(newRecords).map(toAttendanceRow),
+        duplicates: limit(duplicates).map(toAttendanceRow),
+        rejected: limit(rejected),
+        truncated,
+        sinks,
+        project: this.key,
+        timestamp: startTime,
+        duration: Date.now() - startTime.getTime(),
+      };
+    } catch (error) {
+      this.logger.error("Dry run failed", { error });
+      return {
+        success: false,
+        dryRun: true,
+        message: error.message,
+        error: error.name,
+        project: this.key,
+        timestamp: startTime,
+        duration: Date.now() - startTime.getTime(),
+      };
+    }
+  }
+}
+
+module.exports = ProjectSync;
@@ -0,0 +1,154 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Records that failed validation, kept with the reasons they were rejected
+ * so they can be reviewed and replayed once fixed. Entries are keyed by
+ * project and uid (records without a uid get an id derived from their
+ * content) and stored in QUARANTINE_PATH; the least recently seen
+ * entries are dropped beyond QUARANTINE_MAX.
+ */
+class QuarantineStore {
+  constructor(options = {}) {
+    this.filePath =
+      options.path || process.env.QUARANTINE_PATH || "./data/quarantine.json";
+    this.maxEntries =
+      options.maxEntries || parseInt(process.env.QUARANTINE_MAX, 10) || 10000;
+    this.entries = fs.existsSync(this.filePath)
+      ? JSON.parse(fs.readFileSync(this.filePath, "utf8"))
+      : [];
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.entries, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * The id a rejected record is stored under
+   */
+  entryId(record) {
+    if (record && typeof record === "object" && record.uid) {
+      return String(record.uid);
+    }
+    const hash = crypto
+      .createHash("sha1")
+      .update(JSON.stringify(record === undefined ? null : record))
+      .digest("hex");
+    return `no-uid-${hash.slice(0, 12)}`;
+  }
+
+  /**
+   * Store rejects ({ record, reasons }) for a project. A record that is
+   * rejected again updates its entry instead of adding a new one.
+   */
+  add(projectKey, rejects, { source, project } = {}) {
+    if (rejects.length === 0) {
+      return 0;
+    }
+
+    const now = new Date().toISOString();
+    rejects.forEach(({ record, reasons }) => {
+      const id = this.entryId(record);
+      const existing = this.get(projectKey, id);
+      if (existing) {
+        existing.record = record;
+        existing.reasons = reasons;
+        existing.source = source || existing.source;
+        existing.lastSeenAt = now;
+        existing.occurrences += 1;
+        // Recently seen entries are the last to be pruned
+        this.entries.splice(this.entries.indexOf(existing), 1);
+        this.entries.push(existing);
+        return;
+      }
+
+      this.entries.push({
+        id,
+        project: projectKey,
+        record,
+        reasons,
+        // Project details from the TIPSOI response, reused on replay
+        sourceProject: project || {},
+        source: source || "sync",
+        firstSeenAt: now,
+        lastSeenAt: now,
+        occurrences: 1,
+      });
+    });
+
+    // Keep the most recently seen entries only
+    this.entries = this.entries.slice(-this.maxEntries);
+    this.save();
+    return rejects.length;
+  }
+
+  get(projectKey, id) {
+    return this.entries.find(
+      (entry) => entry.project === projectKey && entry.id === id
+    );
+  }
+
+  /**
+   * Entries with a given id across projects
+   */
+  find(id) {
+    return this.entries.filter((entry) => entry.id === id);
+  }
+
+  remove(projectKey, id) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter(
+      (entry) => !(entry.project === projectKey && entry.id === id)
+    );
+    if (this.entries.length === before) {
+      return false;
+    }
+    this.save();
+    return true;
+  }
+
+  /**
+   * Most recently seen first, optionally filtered by project and a reason substring
+   */
+  list({ project, reason, limit } = {}) {
+    const needle = reason ? reason.toLowerCase() : null;
+    const matching = this.entries
+      .filter((entry) => !project || entry.project === project)
+      .filter(
+        (entry) =>
+          !needle ||
+          entry.reasons.some((text) => text.toLowerCase().includes(needle))
+      )
+      .reverse();
+
+    return {
+      total: matching.length,
+      entries: limit ? matching.slice(0, limit) : matching,
+    };
+  }
+
+  /**
+   * Entry counts per project
+   */
+  countByProject() {
+    return this.entries.reduce((counts, entry) => {
+      counts[entry.project] = (counts[entry.project] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  getStatus() {
+    return {
+      path: this.filePath,
+      entries: this.entries.length,
+      maxEntries: this.maxEntries,
+      byProject: this.countByProject(),
+    };
+  }
+}
+
+module.exports = QuarantineStore;
@@ -0,0 +1,370 @@
+const { readConfigFile } = require("./configFile");
+
+const DEFAULT_RULES = [
+  {
+    name: "required-fields",
+    type: "required",
+    fields: [
+      "uid",
+      "sync_time",
+      "logged_time",
+      "type",
+      "device_identifier",
+      "person_identifier",
+    ],
+  },
+  {
+    name: "attendance-type",
+    type: "enum",
+    field: "type",
+    values: ["card", "fingerprint", "face"],
+  },
+];
+
+// Enforced even when a rules file leaves them out; the times must be
+// "YYYY-MM-DD HH:MM:SS" text
+const ALWAYS_REQUIRED = ["uid", "sync_time", "logged_time"];
+const TIME_FIELDS = ["sync_time", "logged_time"];
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+// Allowed properties per rule type; a trailing "?" marks optional ones
+const RULE_SCHEMAS = {
+  required: { fields: "strings" },
+  enum: { field: "string", values: "strings" },
+  pattern: {
+    field: "string",
+    pattern: "string",
+    "flags?": "string",
+    "message?": "string",
+  },
+  rename: { from: "string", to: "string" },
+  map: {
+    field: "string",
+    values: "mapping",
+    "target?": "string",
+    "default?": "string",
+  },
+  compute: { field: "string", template: "string" },
+  default: { field: "string", value: "string" },
+};
+
+const TEMPLATE_FILTERS = {
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  trim: (value) => value.trim(),
+  // "YYYY-MM-DD HH:MM:SS" parts
+  date: (value) => value.slice(0, 10),
+  time: (value) => value.slice(11, 19),
+};
+
+const PLACEHOLDER = /\{([A-Za-z0-9_.]+)(?:\|([a-z]+))?\}/g;
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function checkType(value, kind) {
+  switch (kind) {
+    case "string":
+      return typeof value === "string" && value !== "";
+    case "strings":
+      return (
+        Array.isArray(value) &&
+        value.length > 0 &&
+        value.every((item) => typeof item === "string" && item !== "")
+      );
+    case "mapping":
+      return (
+        !!value &&
+        typeof value === "object" &&
+        !Array.isArray(value) &&
+        Object.values(value).every((item) =>
+          ["string", "number", "boolean"].includes(typeof item)
+        )
+      );
+    default:
+      return false;
+  }
+}
+
+const KIND_DESCRIPTIONS = {
+  string: "a non-empty string",
+  strings: "a non-empty list of strings",
+  mapping: "a map of values",
+};
+
+/**
+ * Validation and transformation rules applied, in order, to every fetched
+ * or pushed record before it is written. Loaded from RECORD_RULES_CONFIG
+ * (JSON/YAML) and checked against RULE_SCHEMAS at startup; without a file
+ * the built-in checks (required fields and card/fingerprint/face types)
+ * apply. Each rule counts its hits: records it rejected or changed.
+ *
+ * Example rules.yml:
+ *
+ *   rules:
+ *     - type: rename
+ *       from: employee_code
+ *       to: person_identifier
+ *     - type: required
+ *       fields: [uid, sync_time, logged_time, type, device_identifier, person_identifier]
+ *     - type: enum
+ *       field: type
+ *       values: [card, fingerprint, face, palm]
+ *     - type: pattern
+ *       field: person_identifier
+ *       pattern: "^[0-9]{4,8}$"
+ *     - type: map
+ *       field: device_identifier
+ *       target: location
+ *       values:
+ *         DEV1: Main Gate
+ *     - type: compute
+ *       field: logged_date
+ *       template: "{logged_time|date}"
+ *     - type: default
+ *       field: location
+ *       value: Unknown
+ */
+class RecordRules {
+  constructor(config = null, source = null) {
+    this.config = config;
+    this.source = source;
+    const definitions = config ? RecordRules.validateConfig(config) : null;
+    this.rules = (definitions || DEFAULT_RULES).map((definition, index) =>
+      this.compile(definition, index)
+    );
+  }
+
+  /**
+   * Load rules from a config file (default RECORD_RULES_CONFIG); the
+   * built-in rules when none is set
+   */
+  static fromFile(configPath = process.env.RECORD_RULES_CONFIG) {
+    return configPath
+      ? new RecordRules(readConfigFile(configPath), configPath)
+      : new RecordRules();
+  }
+
+  /**
+   * The same rules with their own hit counters (one copy per project)
+   */
+  copy() {
+    return new RecordRules(this.config, this.source);
+  }
+
+  /**
+   * Check a rules config against RULE_SCHEMAS; returns the rule list or
+   * throws listing every problem
+   */
+  static validateConfig(config) {
+    if (!config || !Array.isArray(config.rules)) {
+      throw new Error("Rules config must have a rules list");
+    }
+
+    const problems = [];
+    config.rules.forEach((rule, index) => {
+      const label = `rules[${index}]`;
+      if (!rule || typeof rule !== "object" || !RULE_SCHEMAS[rule.type]) {
+        problems.push(
+          `${label}: type must be one of ${Object.keys(RULE_SCHEMAS).join(
+            ", "
+          )}`
+        );
+        return;
+      }
+
+      const schema = { ...RULE_SCHEMAS[rule.type], "name?": "string" };
+      Object.entries(schema).forEach(([key, kind]) => {
+        const optional = key.endsWith("?");
+        const property = optional ? key.slice(0, -1) : key;
+        if (rule[property] === undefined) {
+          if (!optional) {
+            problems.push(`${label} (${rule.type}): ${property} is required`);
+          }
+        } else if (!checkType(rule[property], kind)) {
+          problems.push(
+            `${label} (${rule.type}): ${property} must be ${KIND_DESCRIPTIONS[kind]}`
+          );
+        }
+      });
+
+      const allowed = Object.keys(schema).map((key) => key.replace("?", ""));
+      Object.keys(rule)
+        .filter((key) => key !== "type" && !allowed.includes(key))
+        .forEach((key) =>
+          problems.push(`${label} (${rule.type}): unknown property ${key}`)
+        );
+
+      if (rule.type === "pattern" && typeof rule.pattern === "string") {
+        try {
+          new RegExp(rule.pattern, rule.flags);
+        } catch (error) {
+          problems.push(`${label} (pattern): ${error.message}`);
+        }
+        // Stateful flags would make test() skip matches between records
+        if (/[gy]/.test(rule.flags || "")) {
+          problems.push(`${label} (pattern): flags g and y are not allowed`);
+        }
+      }
+      if (rule.type === "compute" && typeof rule.template === "string") {
+        for (const [, , filter] of rule.template.matchAll(PLACEHOLDER)) {
+          if (filter && !TEMPLATE_FILTERS[filter]) {
+            problems.push(`${label} (compute): unknown filter ${filter}`);
+          }
+        }
+      }
+    });
+
+    const names = config.rules.map((rule) => rule && rule.name).filter(Boolean);
+    names
+      .filter((name, index) => names.indexOf(name) !== index)
+      .forEach((name) => problems.push(`Duplicate rule name: ${name}`));
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid rules config:\n  ${problems.join("\n  ")}`);
+    }
+    return config.rules;
+  }
+
+  compile(definition, index) {
+    const rule = {
+      ...definition,
+      name: definition.name || `${definition.type}-${index + 1}`,
+      hits: 0,
+    };
+    if (rule.type === "pattern") {
+      rule.regex = new RegExp(rule.pattern, rule.flags);
+    }
+    return rule;
+  }
+
+  /**
+   * Run every rule over a copy of the record. Returns the transformed
+   * record and the reasons it is invalid (empty when valid). Pass
+   * `count: false` to leave the hit counters alone.
+   */
+  apply(record, { count = true } = {}) {
+    if (!record || typeof record !== "object") {
+      return { record, errors: ["Not an object"] };
+    }
+
+    const result = { ...record };
+    const errors = [];
+
+    this.rules.forEach((rule) => {
+      const ruleErrors = [];
+      const changed = this.applyRule(rule, result, ruleErrors);
+      errors.push(...ruleErrors);
+      if (count && (changed || ruleErrors.length > 0)) {
+        rule.hits += 1;
+      }
+    });
+
+    // Deduplication, the checkpoint and the reports depend on these,
+    // whatever the rules say
+    ALWAYS_REQUIRED.forEach((field) => {
+      if (isEmpty(result[field])) {
+        if (!errors.includes(`Missing ${field}`)) {
+          errors.push(`Missing ${field}`);
+        }
+      } else if (
+        TIME_FIELDS.includes(field) &&
+        !DATE_TIME_PATTERN.test(result[field])
+      ) {
+        errors.push(`Invalid ${field}`);
+      }
+    });
+
+    return { record: result, errors };
+  }
+
+  /**
+   * Apply one rule in place; returns whether the record was changed and
+   * pushes validation failures to `errors`
+   */
+  applyRule(rule, record, errors) {
+    const value = record[rule.field];
+
+    switch (rule.type) {
+      case "required":
+        rule.fields
+          .filter((field) => isEmpty(record[field]))
+          .forEach((field) => errors.push(`Missing ${field}`));
+        return false;
+
+      case "enum":
+        if (!isEmpty(value) && !rule.values.includes(String(value))) {
+          errors.push(`Unknown ${rule.field} "${value}"`);
+        }
+        return false;
+
+      case "pattern":
+        if (!isEmpty(value) && !rule.regex.test(String(value))) {
+          errors.push(
+            rule.message ||
+              `${rule.field} "${value}" does not match ${rule.pattern}`
+          );
+        }
+        return false;
+
+      case "rename":
+        if (record[rule.from] === undefined) {
+          return false;
+        }
+        record[rule.to] = record[rule.from];
+        delete record[rule.from];
+        return true;
+
+      case "map": {
+        const target = rule.target || rule.field;
+        const key = isEmpty(value) ? null : String(value);
+        let mapped;
+        if (key !== null && Object.hasOwn(rule.values, key)) {
+          mapped = String(rule.values[key]);
+        } else if (rule.default !== undefined) {
+          mapped = rule.default;
+        } else {
+          return false;
+        }
+        record[target] = mapped;
+        return true;
+      }
+
+      case "compute":
+        record[rule.field] = rule.template.replace(
+          PLACEHOLDER,
+          (match, field, filter) => {
+            const text = isEmpty(record[field]) ? "" : String(record[field]);
+            return filter ? TEMPLATE_FILTERS[filter](text) : text;
+          }
+        );
+        return true;
+
+      case "default":
+        if (!isEmpty(value)) {
+          return false;
+        }
+        record[rule.field] = rule.value;
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
+  getStatus() {
+    return {
+      source: this.source || "built-in",
+      rules: this.rules.map((rule) => ({
+        name: rule.name,
+        type: rule.type,
+        hits: rule.hits,
+      })),
+    };
+  }
+}
+
+RecordRules.RULE_TYPES = Object.keys(RULE_SCHEMAS);
+
+module.exports = RecordRules;
@@ -0,0 +1,201 @@
+const RETRYABLE_CODES = [
+  "ECONNABORTED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ESOCKETTIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+];
+
+const metrics = require("./metrics");
+const logger = require("./logger");
+
+const MAX_RECORDED_ATTEMPTS = 500;
+
+/**
+ * Retry policy with jittered exponential backoff. Retries timeouts,
+ * network resets, 5xx responses and 429s (honoring Retry-After).
+ */
+class RetryPolicy {
+  constructor(options = {}) {
+    this.name = options.name || "client";
+    // Metrics labels: "sink orders" reports as client "sink"
+    this.project = options.project || "";
+    this.client = options.client || this.name.split(" ")[0];
+    this.maxAttempts = options.maxAttempts || 4;
+    this.baseDelayMs = options.baseDelayMs || 500;
+    this.maxDelayMs = options.maxDelayMs || 30000;
+    this.maxRetryAfterMs = options.maxRetryAfterMs || 120000;
+    this.attempts = [];
+  }
+
+  /**
+   * Build a policy from <PREFIX>_RETRY_* environment variables
+   */
+  static fromEnv(prefix, name, project) {
+    const read = (key) => {
+      const value = parseInt(process.env[`${prefix}_RETRY_${key}`], 10);
+      return isNaN(value) ? undefined : value;
+    };
+
+    return new RetryPolicy({
+      name,
+      project,
+      maxAttempts: read("MAX_ATTEMPTS"),
+      baseDelayMs: read("BASE_DELAY_MS"),
+      maxDelayMs: read("MAX_DELAY_MS"),
+      maxRetryAfterMs: read("MAX_RETRY_AFTER_MS"),
+    });
+  }
+
+  /**
+   * HTTP status of an axios or googleapis error, if any
+   */
+  getErrorStatus(error) {
+    if (error.response && error.response.status) {
+      return error.response.status;
+    }
+    return typeof error.code === "number" ? error.code : null;
+  }
+
+  isRetryable(error) {
+    const status = this.getErrorStatus(error);
+    if (status) {
+      return status === 429 || status >= 500;
+    }
+    return RETRYABLE_CODES.includes(error.code);
+  }
+
+  /**
+   * Delay requested by a Retry-After header, in milliseconds
+   */
+  getRetryAfterMs(error) {
+    const headers = error.response && error.response.headers;
+    if (!headers) {
+      return null;
+    }
+
+    const value =
+      typeof headers.get === "function"
+        ? headers.get("retry-after")
+        : headers["retry-after"];
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return seconds * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Full-jitter exponential backoff for the given attempt number
+   */
+  getBackoffMs(attempt) {
+    const ceiling = Math.min(
+      this.maxDelayMs,
+      this.baseDelayMs * Math.pow(2, attempt - 1)
+    );
+    return Math.round(Math.random() * ceiling);
+  }
+
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  recordAttempt(entry) {
+    metrics.observeRequest(
+      this.project,
+      this.client,
+      entry.success,
+      entry.duration
+    );
+    this.attempts.push({
+      client: this.name,
+      ...entry,
+      timestamp: new Date().toISOString(),
+    });
+
+    // Keep the log bounded when nobody drains it
+    if (this.attempts.length > MAX_RECORDED_ATTEMPTS) {
+      this.attempts.shift();
+    }
+  }
+
+  /**
+   * Return and clear the attempts recorded since the last call
+   */
+  drainAttempts() {
+    const attempts = this.attempts;
+    this.attempts = [];
+    return attempts;
+  }
+
+  /**
+   * Run fn(attempt), retrying retryable failures until maxAttempts is
+   * reached
+   */
+  async execute(fn, operation = "request") {
+    for (let attempt = 1; ; attempt++) {
+      const startedAt = Date.now();
+      try {
+        const result = await fn(attempt);
+        this.recordAttempt({
+          operation,
+          attempt,
+          success: true,
+          duration: Date.now() - startedAt,
+        });
+        return result;
+      } catch (error) {
+        const retryable = this.isRetryable(error) && attempt < this.maxAttempts;
+        const retryAfterMs = this.getRetryAfterMs(error);
+        const delayMs = retryable
+          ? retryAfterMs !== null
+            ? Math.min(retryAfterMs, this.maxRetryAfterMs)
+            : this.getBackoffMs(attempt)
+          : 0;
+
+        this.recordAttempt({
+          operation,
+          attempt,
+          success: false,
+          status: this.getErrorStatus(error),
+          error: error.message,
+          duration: Date.now() - startedAt,
+          retryInMs: retryable ? delayMs : null,
+        });
+
+        if (!retryable) {
+          throw error;
+        }
+
+        logger.warn("Request failed, retrying", {
+          project: this.project || undefined,
+          client: this.name,
+          operation,
+          attempt,
+          maxAttempts: this.maxAttempts,
+          retryInMs: delayMs,
+          error,
+        });
+        await this.sleep(delayMs);
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      maxAttempts: this.maxAttempts,
+      baseDelayMs: this.baseDelayMs,
+      maxDelayMs: this.maxDelayMs,
+      maxRetryAfterMs: this.maxRetryAfterMs,
+    };
+  }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,299 @@
+const { readConfigFile } = require("./configFile");
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const STATUS_PRIORITY = ["absent", "late", "early_leave", "on_time", "off"];
+
+/**
+ * Shift templates and assignments, loaded from SHIFTS_CONFIG (JSON/YAML).
+ * Compares daily timesheets against each person's shift to produce late,
+ * early_leave, absent, on_time and off statuses.
+ *
+ * Example shifts.yml:
+ *
+ *   defaultShift: day
+ *   shifts:
+ *     day:
+ *       start: "09:00"
+ *       end: "18:00"
+ *       lateGraceMinutes: 10
+ *       earlyLeaveGraceMinutes: 5
+ *       weeklyOff: [friday]
+ *     night:
+ *       start: "22:00"
+ *       end: "06:00"       # ends the next day
+ *       weeklyOff: [friday, saturday]
+ *   assignments:
+ *     people:
+ *       "1001": night
+ *     groups:
+ *       security:
+ *         shift: night
+ *         members: ["1002", "1003"]
+ */
+class ShiftService {
+  constructor(config = {}) {
+    this.shifts = new Map();
+    this.people = new Map();
+    this.defaultShift = config.defaultShift || null;
+
+    Object.entries(config.shifts || {}).forEach(([name, shift]) =>
+      this.shifts.set(name, this.parseShift(name, shift))
+    );
+
+    if (this.defaultShift && !this.shifts.has(this.defaultShift)) {
+      throw new Error(`Unknown default shift: ${this.defaultShift}`);
+    }
+
+    const assignments = config.assignments || {};
+    Object.entries(assignments.groups || {}).forEach(([group, definition]) =>
+      (definition.members || []).forEach((person) =>
+        this.assign(String(person), definition.shift, `group ${group}`)
+      )
+    );
+    // Individual assignments override group assignments
+    Object.entries(assignments.people || {}).forEach(([person, shift]) =>
+      this.assign(person, shift, `person ${person}`)
+    );
+  }
+
+  /**
+   * Load shifts from a config file (default SHIFTS_CONFIG); an empty
+   * service when none is set
+   */
+  static fromFile(configPath = process.env.SHIFTS_CONFIG) {
+    return new ShiftService(configPath ? readConfigFile(configPath) : {});
+  }
+
+  get configured() {
+    return this.shifts.size > 0;
+  }
+
+  /**
+   * Parse "HH:MM" into minutes since midnight
+   */
+  parseClock(value, field, name) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ""));
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      throw new Error(`Shift ${name}: ${field} must be HH:MM`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
+  parseShift(name, shift) {
+    const start = this.parseClock(shift.start, "start", name);
+    let end = this.parseClock(shift.end, "end", name);
+    // An end at or before the start means the shift ends the next day
+    if (end <= start) {
+      end += 24 * 60;
+    }
+
+    const weeklyOff = (shift.weeklyOff || []).map((day) =>
+      String(day).toLowerCase()
+    );
+    weeklyOff.forEach((day) => {
+      if (!WEEKDAYS.includes(day)) {
+        throw new Error(`Shift ${name}: unknown weekly off day "${day}"`);
+      }
+    });
+
+    return {
+      name,
+      start,
+      end,
+      startText: shift.start,
+      endText: shift.end,
+      lateGraceMinutes: shift.lateGraceMinutes || 0,
+      earlyLeaveGraceMinutes: shift.earlyLeaveGraceMinutes || 0,
+      weeklyOff,
+    };
+  }
+
+  assign(person, shiftName, source) {
+    if (!this.shifts.has(shiftName)) {
+      throw new Error(`Unknown shift "${shiftName}" assigned to ${source}`);
+    }
+    this.people.set(person, shiftName);
+  }
+
+  getShiftFor(person) {
+    const name = this.people.get(person) || this.defaultShift;
+    return name ? this.shifts.get(name) : null;
+  }
+
+  /**
+   * Minutes between local midnight of `date` and a "YYYY-MM-DD HH:MM:SS"
+   * time, using wall-clock arithmetic
+   */
+  minutesFromMidnight(date, dateTime) {
+    const toUtc = (value) => Date.parse(`${value.replace(" ", "T")}Z`);
+    return Math.round((toUtc(dateTime) - toUtc(`${date} 00:00:00`)) / 60000);
+  }
+
+  listDates(startDate, endDate) {
+    const dates = [];
+    const current = new Date(`${startDate}T00:00:00Z`);
+    const last = new Date(`${endDate}T00:00:00Z`);
+    while (current <= last) {
+      dates.push(current.toISOString().slice(0, 10));
+      current.setUTCDate(current.getUTCDate() + 1);
+    }
+    return dates;
+  }
+
+  /**
+   * Evaluate one person's day against their shift
+   */
+  evaluateDay(date, person, shift, timesheet, now) {
+    const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    const entry = {
+      date,
+      person_identifier: person,
+      shift: shift.name,
+      shiftStart: shift.startText,
+      shiftEnd: shift.endText,
+      firstIn: timesheet?.firstIn || null,
+      lastOut: timesheet?.lastOut || null,
+      project: timesheet?.project || "",
+      lateMinutes: 0,
+      earlyLeaveMinutes: 0,
+      statuses: [],
+    };
+
+    const nowMinutes = this.minutesFromMidnight(date, now);
+
+    if (shift.weeklyOff.includes(weekday)) {
+      entry.statuses.push("off");
+    } else if (!timesheet) {
+      // Not absent until the grace period has passed
+      if (nowMinutes > shift.start + shift.lateGraceMinutes) {
+        entry.statuses.push("absent");
+      }
+    } else {
+      const inMinutes = this.minutesFromMidnight(date, timesheet.firstIn);
+      const outMinutes = this.minutesFromMidnight(date, timesheet.lastOut);
+
+      if (inMinutes > shift.start + shift.lateGraceMinutes) {
+        entry.lateMinutes = inMinutes - shift.start;
+        entry.statuses.push("late");
+      }
+      // Only judge departures once the shift is over
+      if (
+        nowMinutes > shift.end &&
+        outMinutes < shift.end - shift.earlyLeaveGraceMinutes
+      ) {
+        entry.earlyLeaveMinutes = shift.end - outMinutes;
+        entry.statuses.push("early_leave");
+      }
+      if (entry.statuses.length === 0) {
+        entry.statuses.push("on_time");
+      }
+    }
+
+    entry.status = STATUS_PRIORITY.find((status) =>
+      entry.statuses.includes(status)
+    );
+    return entry.status ? entry : null;
+  }
+
+  /**
+   * Statuses for every rostered person (and everyone who punched) for each
+   * day in startDate..endDate. `now` is the current project-local time
+   * (YYYY-MM-DD HH:MM:SS); days after it are skipped.
+   */
+  evaluate(timesheets, startDate, endDate, now) {
+    const byKey = new Map(
+      timesheets.map((day) => [`${day.date}|${day.person_identifier}`, day])
+    );
+    const people = new Set([
+      ...this.people.keys(),
+      ...timesheets.map((day) => day.person_identifier),
+    ]);
+    const today = now.slice(0, 10);
+    const results = [];
+
+    for (const date of this.listDates(startDate, endDate)) {
+      if (date > today) {
+        break;
+      }
+
+      for (const person of people) {
+        const shift = this.getShiftFor(person);
+        if (!shift) {
+          continue;
+        }
+
+        const entry = this.evaluateDay(
+          date,
+          person,
+          shift,
+          byKey.get(`${date}|${person}`),
+          now
+        );
+        if (entry) {
+          results.push(entry);
+        }
+      }
+    }
+
+    return results.sort(
+      (a, b) =>
+        a.date.localeCompare(b.date) ||
+        a.person_identifier.localeCompare(b.person_identifier)
+    );
+  }
+
+  /**
+   * Convert exception entries to "Exceptions" sheet rows
+   */
+  toSheetRows(entries) {
+    return entries.map((entry) => [
+      entry.date,
+      entry.person_identifier,
+      entry.shift,
+      entry.statuses.join(", "),
+      entry.lateMinutes,
+      entry.earlyLeaveMinutes,
+      entry.firstIn || "",
+      entry.lastOut || "",
+      entry.shiftStart,
+      entry.shiftEnd,
+      entry.project,
+    ]);
+  }
+
+  getStatus() {
+    return {
+      configured: this.configured,
+      shifts: Array.from(this.shifts.keys()),
+      defaultShift: this.defaultShift,
+      assignedPeople: this.people.size,
+    };
+  }
+}
+
+ShiftService.STATUSES = STATUS_PRIORITY;
+
+ShiftService.SHEET_HEADERS = [
+  "Date",
+  "Person ID",
+  "Shift",
+  "Status",
+  "Late Minutes",
+  "Early Leave Minutes",
+  "First In",
+  "Last Out",
+  "Shift Start",
+  "Shift End",
+  "Project Code",
+];
+
+module.exports = ShiftService;
@@ -0,0 +1,77 @@
+const GoogleSheetsService = require("./googleSheetsService");
+const JsonlSink = require("./jsonlSink");
+const WebhookSink = require("./webhookSink");
+const { SqliteSink, PostgresSink } = require("./sqlSink");
+
+/**
+ * Destinations for synced attendance records. Every sink has a `type` and a
+ * unique `name` within its project, and implements:
+ *
+ *   async init()               connect, create headers / tables / indexes
+ *   async dedupe(records, { readOnly })
+ *                              the records it doesn't have yet; with
+ *                              readOnly (dry runs) it must write nothing
+ *   async writeBatch(records)  store the new records, returns how many
+ *   async health()             { healthy, ... }
+ *   getStatus()
+ *
+ * writeBatch must skip records the sink already has, so a batch can be
+ * written again after another sink failed.
+ */
+const SINK_TYPES = {
+  sheets: (definition, project) =>
+    new GoogleSheetsService({
+      name: definition.name,
+      spreadsheetId: definition.spreadsheetId || project.spreadsheetId,
+      sheetName:
+        definition.sheetName !== undefined
+          ? definition.sheetName
+          : project.sheetName,
+      projectKey: project.key,
+    }),
+  sqlite: (definition, project) =>
+    new SqliteSink({ ...definition, projectKey: project.key }),
+  postgres: (definition, project) =>
+    new PostgresSink({ ...definition, projectKey: project.key }),
+  jsonl: (definition, project) =>
+    new JsonlSink({ ...definition, projectKey: project.key }),
+  webhook: (definition, project) =>
+    new WebhookSink({ ...definition, projectKey: project.key }),
+};
+
+/**
+ * Build a project's sinks from its `sinks` list. Without one, records go to
+ * the project's Google Sheet as before.
+ */
+function createSinks(project) {
+  const definitions = project.sinks || [{ type: "sheets" }];
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    throw new Error(`Project ${project.key}: sinks must be a non-empty list`);
+  }
+
+  const names = new Set();
+  return definitions.map((definition) => {
+    const create = SINK_TYPES[definition.type];
+    if (!create) {
+      throw new Error(
+        `Project ${project.key}: unknown sink type "${
+          definition.type
+        }" (use ${Object.keys(SINK_TYPES).join(", ")})`
+      );
+    }
+
+    const sink = create(definition, project);
+    if (names.has(sink.name)) {
+      throw new Error(
+        `Project ${project.key}: duplicate sink name "${sink.name}"`
+      );
+    }
+    names.add(sink.name);
+    return sink;
+  });
+}
+
+module.exports = {
+  SINK_TYPES,
+  createSinks,
+};
@@ -0,0 +1,295 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+
+// Several projects can share a table, so rows are keyed by (project, uid)
+const COLUMNS = [
+  "project",
+  "uid",
+  "sync_time",
+  "logged_time",
+  "type",
+  "device_identifier",
+  "location",
+  "person_identifier",
+  "rfid",
+  "primary_display_text",
+  "secondary_display_text",
+  "project_code",
+  "project_name",
+  "organization",
+];
+
+// uids per SELECT ... IN (...) when checking for duplicates
+const LOOKUP_CHUNK_SIZE = 500;
+
+function toColumnValues(record, projectKey) {
+  return [
+    projectKey,
+    record.uid,
+    record.sync_time,
+    record.logged_time,
+    record.type,
+    record.device_identifier,
+    record.location || "",
+    record.person_identifier,
+    record.rfid || "",
+    record.primary_display_text || "",
+    record.secondary_display_text || "",
+    record.project?.code || "",
+    record.project?.name || "",
+    record.project?.organization || "",
+  ];
+}
+
+/**
+ * Shared logic for SQL sinks: one row per punch keyed by project and uid,
+ * so inserts are idempotent (duplicates are skipped by the primary key).
+ * Subclasses provide connect(), query(sql, params), placeholders(count,
+ * offset) and insertRows(rows).
+ */
+class SqlSink {
+  constructor(options = {}) {
+    this.table = options.table || "attendance";
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(this.table)) {
+      throw new Error(`Invalid table name: ${this.table}`);
+    }
+    this.projectKey = options.projectKey || "default";
+    this.initialized = false;
+  }
+
+  async init() {
+    await this.connect();
+    await this.query(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (
+        ${COLUMNS.map((column) =>
+          ["project", "uid"].includes(column)
+            ? `${column} TEXT NOT NULL`
+            : `${column} TEXT`
+        ).join(",\n        ")},
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (project, uid)
+      )`
+    );
+
+    // Tables created before rows had a project are keyed by uid alone
+    try {
+      await this.query(`SELECT project FROM ${this.table} LIMIT 1`);
+    } catch (error) {
+      throw new Error(
+        `Table ${this.table} has no project column; rename it so a new one is created, then copy the rows over with their project key`
+      );
+    }
+    this.initialized = true;
+  }
+
+  async dedupe(records) {
+    const existing = new Set();
+    const uids = records.map((record) => record.uid);
+
+    for (let i = 0; i < uids.length; i += LOOKUP_CHUNK_SIZE) {
+      const chunk = uids.slice(i, i + LOOKUP_CHUNK_SIZE);
+      const rows = await this.query(
+        `SELECT uid FROM ${this.table} WHERE project = ${this.placeholders(
+          1
+        )} AND uid IN (${this.placeholders(chunk.length, 1)})`,
+        [this.projectKey, ...chunk]
+      );
+      rows.forEach((row) => existing.add(row.uid));
+    }
+
+    return records.filter((record) => {
+      if (existing.has(record.uid)) {
+        return false;
+      }
+      existing.add(record.uid);
+      return true;
+    });
+  }
+
+  async writeBatch(records) {
+    const newRecords = await this.dedupe(records);
+    if (newRecords.length === 0) {
+      return 0;
+    }
+
+    const createdAt = new Date().toISOString();
+    return await this.insertRows(
+      newRecords.map((record) => [
+        ...toColumnValues(record, this.projectKey),
+        createdAt,
+      ])
+    );
+  }
+
+  async health() {
+    try {
+      const rows = await this.query(
+        `SELECT COUNT(*) AS count FROM ${
+          this.table
+        } WHERE project = ${this.placeholders(1)}`,
+        [this.projectKey]
+      );
+      return { healthy: true, rows: Number(rows[0].count) };
+    } catch (error) {
+      return { healthy: false, message: error.message };
+    }
+  }
+
+  insertSql(placeholders) {
+    return `INSERT INTO ${this.table} (${[...COLUMNS, "created_at"].join(
+      ", "
+    )}) VALUES (${placeholders}) ON CONFLICT (project, uid) DO NOTHING`;
+  }
+}
+
+/**
+ * Sink that stores records in a local SQLite database (requires the
+ * optional better-sqlite3 package)
+ */
+class SqliteSink extends SqlSink {
+  constructor(options = {}) {
+    super(options);
+    this.type = "sqlite";
+    this.name = options.name || "sqlite";
+    this.filePath = options.path || "./data/attendance.db";
+    this.db = null;
+  }
+
+  async connect() {
+    if (this.db) {
+      return;
+    }
+
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch (error) {
+      throw new Error(
+        "SQLite sink requires the better-sqlite3 package (npm install better-sqlite3)"
+      );
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.db = new Database(this.filePath);
+  }
+
+  placeholders(count) {
+    return new Array(count).fill("?").join(", ");
+  }
+
+  async query(sql, params = []) {
+    const statement = this.db.prepare(sql);
+    if (statement.reader) {
+      return statement.all(params);
+    }
+    statement.run(params);
+    return [];
+  }
+
+  async insertRows(rows) {
+    const statement = this.db.prepare(
+      this.insertSql(this.placeholders(COLUMNS.length + 1))
+    );
+    const insertAll = this.db.transaction((values) =>
+      values.reduce((count, row) => count + statement.run(row).changes, 0)
+    );
+    return insertAll(rows);
+  }
+
+  getStatus() {
+    return {
+      type: this.type,
+      name: this.name,
+      initialized: this.initialized,
+      path: this.filePath,
+      table: this.table,
+    };
+  }
+}
+
+/**
+ * Sink that stores records in PostgreSQL (requires the optional pg package)
+ */
+class PostgresSink extends SqlSink {
+  constructor(options = {}) {
+    super(options);
+    this.type = "postgres";
+    this.name = options.name || "postgres";
+    this.connectionString = options.connectionStringEnv
+      ? process.env[options.connectionStringEnv]
+      : options.connectionString;
+    if (!this.connectionString) {
+      throw new Error(`Postgres sink ${this.name} has no connectionString`);
+    }
+    this.pool = null;
+  }
+
+  async connect() {
+    if (this.pool) {
+      return;
+    }
+
+    let pg;
+    try {
+      pg = require("pg");
+    } catch (error) {
+      throw new Error("Postgres sink requires the pg package (npm install pg)");
+    }
+
+    this.pool = new pg.Pool({ connectionString: this.connectionString });
+    // An idle client losing its connection (database restart, network
+    // drop) is reported here; unhandled it would crash the process
+    this.pool.on("error", (error) =>
+      logger.error("Postgres pool error", { sink: this.name, error })
+    );
+  }
+
+  placeholders(count, offset = 0) {
+    return Array.from(
+      { length: count },
+      (_, index) => `$${offset + index + 1}`
+    ).join(", ");
+  }
+
+  async query(sql, params = []) {
+    const result = await this.pool.query(sql, params);
+    return result.rows;
+  }
+
+  async insertRows(rows) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      let count = 0;
+      for (const row of rows) {
+        const result = await client.query(
+          this.insertSql(this.placeholders(row.length)),
+          row
+        );
+        count += result.rowCount;
+      }
+      await client.query("COMMIT");
+      return count;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  getStatus() {
+    return {
+      type: this.type,
+      name: this.name,
+      initialized: this.initialized,
+      table: this.table,
+    };
+  }
+}
+
+module.exports = {
+  SqliteSink,
+  PostgresSink,
+};
@@ -0,0 +1,151 @@
+const fs = require("fs");
+const path = require("path");
+
+const TRIGGERS = ["cron", "manual", "range"];
+const STATUSES = ["success", "failure", "skipped"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Outcome of every sync run, one entry per project, kept in
+ * SYNC_HISTORY_PATH. Entries older than SYNC_HISTORY_DAYS are dropped, as
+ * are the oldest beyond SYNC_HISTORY_MAX.
+ */
+class SyncHistory {
+  constructor(options = {}) {
+    this.filePath =
+      options.path ||
+      process.env.SYNC_HISTORY_PATH ||
+      "./data/sync-history.json";
+    this.retentionDays =
+      options.retentionDays ||
+      parseInt(process.env.SYNC_HISTORY_DAYS, 10) ||
+      30;
+    this.maxEntries =
+      options.maxEntries || parseInt(process.env.SYNC_HISTORY_MAX, 10) || 10000;
+    this.entries = fs.existsSync(this.filePath)
+      ? JSON.parse(fs.readFileSync(this.filePath, "utf8"))
+      : [];
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.entries, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  statusOf(result) {
+    if (result.skipped) {
+      return "skipped";
+    }
+    return result.success ? "success" : "failure";
+  }
+
+  /**
+   * Store the per-project results of a run (the `projects` of an
+   * aggregated sync result)
+   */
+  record(trigger, result) {
+    Object.values(result.projects || {}).forEach((project) => {
+      const startedAt = new Date(project.timestamp || result.timestamp);
+      this.entries.push({
+        runId: result.runId || null,
+        project: project.project,
+        trigger,
+        status: this.statusOf(project),
+        error: project.success ? null : project.message,
+        recordsFetched: project.recordsFetched || 0,
+        recordsAdded: project.recordsAdded || 0,
+        recordsSkipped: project.recordsSkipped || 0,
+        recordsRejected: project.recordsQuarantined || 0,
+        window: project.window
+          ? {
+              start: new Date(project.window.start).toISOString(),
+              end: new Date(project.window.end).toISOString(),
+              criteria: project.window.criteria || "sync_time",
+            }
+          : null,
+        startedAt: startedAt.toISOString(),
+        duration: project.duration || 0,
+      });
+    });
+
+    this.prune();
+    this.save();
+  }
+
+  prune() {
+    const cutoff = new Date(
+      Date.now() - this.retentionDays * DAY_MS
+    ).toISOString();
+    this.entries = this.entries
+      .filter((entry) => entry.startedAt >= cutoff)
+      .slice(-this.maxEntries);
+  }
+
+  /**
+   * Newest first. `from` / `to` are Dates bounding startedAt.
+   */
+  list({ project, trigger, status, from, to, limit } = {}) {
+    const matching = this.entries
+      .filter((entry) => !project || entry.project === project)
+      .filter((entry) => !trigger || entry.trigger === trigger)
+      .filter((entry) => !status || entry.status === status)
+      .filter((entry) => !from || entry.startedAt >= from.toISOString())
+      .filter((entry) => !to || entry.startedAt <= to.toISOString())
+      .reverse();
+
+    return {
+      total: matching.length,
+      runs: limit ? matching.slice(0, limit) : matching,
+    };
+  }
+
+  /**
+   * Counts and success rate of the last 24 hours. Skipped runs (a sync
+   * already in progress) don't count towards the rate.
+   */
+  getStats(project) {
+    const since = new Date(Date.now() - DAY_MS).toISOString();
+    const recent = this.entries.filter(
+      (entry) =>
+        entry.startedAt >= since && (!project || entry.project === project)
+    );
+    const count = (status) =>
+      recent.filter((entry) => entry.status === status).length;
+    const succeeded = count("success");
+    const failed = count("failure");
+    const lastFailure = recent
+      .filter((entry) => entry.status === "failure")
+      .pop();
+
+    return {
+      since,
+      runs: recent.length,
+      succeeded,
+      failed,
+      skipped: count("skipped"),
+      successRate:
+        succeeded + failed > 0
+          ? Math.round((succeeded / (succeeded + failed)) * 1000) / 1000
+          : null,
+      recordsAdded: recent.reduce((sum, entry) => sum + entry.recordsAdded, 0),
+      lastFailureAt: lastFailure ? lastFailure.startedAt : null,
+    };
+  }
+
+  getStatus() {
+    return {
+      path: this.filePath,
+      entries: this.entries.length,
+      retentionDays: this.retentionDays,
+      maxEntries: this.maxEntries,
+      last24Hours: this.getStats(),
+    };
+  }
+}
+
+SyncHistory.TRIGGERS = TRIGGERS;
+SyncHistory.STATUSES = STATUSES;
+
+module.exports = SyncHistory;
@@ -0,0 +1,286 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const logger = require("./logger");
+
+const STATUSES = ["queued", "running", "completed", "failed", "cancelled"];
+const FINISHED = ["completed", "failed", "cancelled"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Range syncs run as background jobs, one job at a time, split into
+ * day-sized chunks. Each chunk is a separate manual sync, so cron syncs
+ * still run between chunks. A chunk that finds its project busy waits and
+ * tries again. Jobs are kept in SYNC_JOBS_PATH after every chunk; one that
+ * was running when the service stopped continues from its next chunk on
+ * startup. The newest SYNC_JOBS_MAX finished jobs are kept.
+ */
+class SyncJobQueue {
+  /**
+   * `runChunk(start, end, criteria, projectKey)` syncs one chunk and returns
+   * the aggregated result
+   */
+  constructor(runChunk, options = {}) {
+    this.runChunk = runChunk;
+    this.filePath =
+      options.path || process.env.SYNC_JOBS_PATH || "./data/sync-jobs.json";
+    this.maxFinished =
+      options.maxFinished || parseInt(process.env.SYNC_JOBS_MAX, 10) || 100;
+    this.busyRetryMs =
+      options.busyRetryMs ||
+      parseInt(process.env.SYNC_JOB_BUSY_RETRY_MS, 10) ||
+      30000;
+    this.jobs = fs.existsSync(this.filePath)
+      ? JSON.parse(fs.readFileSync(this.filePath, "utf8"))
+      : [];
+    this.started = false;
+    this.processing = null;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.jobs, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Start working through the queue; jobs interrupted by a restart are
+   * picked up again
+   */
+  start() {
+    this.jobs
+      .filter((job) => job.status === "running")
+      .forEach((job) => {
+        job.status = "queued";
+        logger.info("Resuming sync job", {
+          jobId: job.id,
+          chunksCompleted: job.chunksCompleted,
+          chunksTotal: job.chunksTotal,
+        });
+      });
+    this.started = true;
+    this.save();
+    this.processNext();
+  }
+
+  /**
+   * Queue a range sync. `start` and `end` are Dates.
+   */
+  create({ start, end, criteria, project, requestedBy }) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: "queued",
+      project: project || null,
+      criteria,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      cursor: start.toISOString(),
+      chunksTotal: Math.ceil((end - start) / DAY_MS),
+      chunksCompleted: 0,
+      recordsFetched: 0,
+      recordsAdded: 0,
+      recordsSkipped: 0,
+      recordsRejected: 0,
+      lastRunId: null,
+      error: null,
+      requestedBy: requestedBy || null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      updatedAt: new Date().toISOString(),
+    };
+
+    this.jobs.push(job);
+    this.save();
+    this.processNext();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.find((job) => job.id === id) || null;
+  }
+
+  /**
+   * Newest first
+   */
+  list({ status, limit } = {}) {
+    const matching = this.jobs
+      .filter((job) => !status || job.status === status)
+      .slice()
+      .reverse();
+    return {
+      total: matching.length,
+      jobs: limit ? matching.slice(0, limit) : matching,
+    };
+  }
+
+  /**
+   * Stop a queued or running job. A running job finishes its current chunk
+   * first. Returns null when there is nothing to cancel.
+   */
+  cancel(id) {
+    const job = this.get(id);
+    if (!job || FINISHED.includes(job.status)) {
+      return null;
+    }
+    this.finish(job, "cancelled");
+    return job;
+  }
+
+  /**
+   * Queue a failed or cancelled job again from its next chunk. Returns null
+   * when the job can't be resumed.
+   */
+  resume(id) {
+    const job = this.get(id);
+    if (!job || !["failed", "cancelled"].includes(job.status)) {
+      return null;
+    }
+    this.update(job, { status: "queued", error: null, finishedAt: null });
+    this.processNext();
+    return job;
+  }
+
+  update(job, fields) {
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+    this.save();
+  }
+
+  finish(job, status, error = null) {
+    this.update(job, {
+      status,
+      error,
+      finishedAt: new Date().toISOString(),
+    });
+    this.prune();
+  }
+
+  prune() {
+    const finished = this.jobs.filter((job) => FINISHED.includes(job.status));
+    const drop = new Set(
+      finished.slice(0, Math.max(0, finished.length - this.maxFinished))
+    );
+    if (drop.size > 0) {
+      this.jobs = this.jobs.filter((job) => !drop.has(job));
+      this.save();
+    }
+  }
+
+  processNext() {
+    if (!this.started || this.processing) {
+      return;
+    }
+    const job = this.jobs.find((candidate) => candidate.status === "queued");
+    if (!job) {
+      return;
+    }
+
+    // Not tied to the request that queued the job
+    this.processing = logger
+      .runWithContext({ requestId: undefined, jobId: job.id }, () =>
+        this.runJob(job)
+      )
+      .catch((error) => {
+        logger.error("Sync job failed", { error });
+        if (!FINISHED.includes(job.status)) {
+          this.finish(job, "failed", error.message);
+        }
+      })
+      .finally(() => {
+        this.processing = null;
+        this.processNext();
+      });
+  }
+
+  async runJob(job) {
+    this.update(job, {
+      status: "running",
+      startedAt: job.startedAt || new Date().toISOString(),
+    });
+    logger.info("Sync job started", {
+      criteria: job.criteria,
+      cursor: job.cursor,
+      end: job.end,
+      chunksTotal: job.chunksTotal,
+    });
+
+    while (job.status === "running" && job.cursor < job.end) {
+      const chunkStart = new Date(job.cursor);
+      const chunkEnd = new Date(
+        Math.min(chunkStart.getTime() + DAY_MS, new Date(job.end).getTime())
+      );
+      const result = await this.runChunk(
+        chunkStart,
+        chunkEnd,
+        job.criteria,
+        job.project
+      );
+      const projects = Object.values(result.projects || {});
+
+      // A project busy with another sync: try the chunk again later
+      // (records already written are skipped by the UID dedup)
+      if (projects.some((project) => project.skipped)) {
+        logger.info("Sync job waiting for a running sync", {
+          cursor: job.cursor,
+          retryInMs: this.busyRetryMs,
+        });
+        await delay(this.busyRetryMs);
+        continue;
+      }
+
+      if (!result.success) {
+        // Cancelled while the chunk ran: stay cancelled. A resume runs the
+        // chunk again, so its counts are left out.
+        if (job.status === "running") {
+          const failed = projects.find((project) => !project.success);
+          job.lastRunId = result.runId;
+          this.finish(job, "failed", failed ? failed.message : result.message);
+          logger.warn("Sync job failed", {
+            cursor: job.cursor,
+            error: job.error,
+          });
+        }
+        return;
+      }
+
+      const sum = (field) =>
+        projects.reduce((total, project) => total + (project[field] || 0), 0);
+      this.update(job, {
+        cursor: chunkEnd.toISOString(),
+        chunksCompleted: job.chunksCompleted + 1,
+        recordsFetched: job.recordsFetched + sum("recordsFetched"),
+        recordsAdded: job.recordsAdded + sum("recordsAdded"),
+        recordsSkipped: job.recordsSkipped + sum("recordsSkipped"),
+        recordsRejected: job.recordsRejected + sum("recordsQuarantined"),
+        lastRunId: result.runId,
+      });
+    }
+
+    if (job.status === "running") {
+      this.finish(job, "completed");
+    }
+    logger.info("Sync job finished", {
+      status: job.status,
+      chunksCompleted: job.chunksCompleted,
+      recordsAdded: job.recordsAdded,
+    });
+  }
+
+  getStatus() {
+    const count = (status) =>
+      this.jobs.filter((job) => job.status === status).length;
+    return {
+      path: this.filePath,
+      queued: count("queued"),
+      running: count("running"),
+      jobs: this.jobs.length,
+    };
+  }
+}
+
+SyncJobQueue.STATUSES = STATUSES;
+
+module.exports = SyncJobQueue;
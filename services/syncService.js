@@ -1,254 +1,692 @@
 const cron = require("node-cron");
-const AttendanceService = require("./attendanceService");
+const ProjectRegistry = require("./projectRegistry");
+const ProjectSync = require("./projectSync");
+const { createCheckpointStore } = require("./checkpointStore");
+const AuditLog = require("./auditLog");
+const ShiftService = require("./shiftService");
+const WebhookDispatcher = require("./webhookDispatcher");
+const QuarantineStore = require("./quarantineStore");
+const RecordRules = require("./recordRules");
+const EmployeeDirectory = require("./employeeDirectory");
 const GoogleSheetsService = require("./googleSheetsService");
+const DeviceRegistry = require("./deviceRegistry");
+const SyncHistory = require("./syncHistory");
+const AlertManager = require("./alertManager");
+const SyncJobQueue = require("./syncJobs");
+const metrics = require("./metrics");
+const logger = require("./logger");
+const { matchesFilters, queryRecords } = require("./attendanceQuery");
 
 class SyncService {
-  constructor() {
-    this.attendanceService = new AttendanceService();
-    this.googleSheetsService = new GoogleSheetsService();
+  constructor(options = {}) {
+    this.registry = options.registry || ProjectRegistry.fromEnv();
+    this.checkpointStore = createCheckpointStore();
+    this.auditLog = options.auditLog || new AuditLog();
+    this.shiftService = options.shiftService || ShiftService.fromFile();
+    this.webhooks = options.webhooks || new WebhookDispatcher();
+    this.quarantine = options.quarantine || new QuarantineStore();
+    this.recordRules = options.recordRules || RecordRules.fromFile();
+    this.devices = options.devices || DeviceRegistry.fromFile();
+    this.history = options.history || new SyncHistory();
+    this.alerts = options.alerts || AlertManager.fromFile();
+    this.jobs =
+      options.jobs ||
+      new SyncJobQueue((startDate, endDate, criteria, projectKey) =>
+        this.performManualSync(startDate, endDate, criteria, projectKey)
+      );
+    this.directory =
+      options.directory ||
+      new EmployeeDirectory({
+        sheetsService: process.env.EMPLOYEE_DIRECTORY_SHEET
+          ? new GoogleSheetsService({
+              name: "directory",
+              spreadsheetId: process.env.EMPLOYEE_DIRECTORY_SPREADSHEET_ID,
+            })
+          : null,
+      });
+    this.projects = new Map(
+      this.registry.getAll().map((project) => [
+        project.key,
+        new ProjectSync(project, {
+          checkpointStore: this.checkpointStore,
+          shiftService: this.shiftService,
+          quarantine: this.quarantine,
+          recordRules: this.recordRules,
+          directory: this.directory,
+          devices: this.devices,
+        }),
+      ])
+    );
     this.cronJob = null;
-    this.isRunning = false;
     this.lastSyncResult = null;
     this.syncInterval = process.env.SYNC_INTERVAL || "*/5 * * * *"; // Default: every 5 minutes
+    // Rows, duplicates and rejects listed per project in a dry run
+    this.dryRunMaxItems = parseInt(process.env.DRY_RUN_MAX_ITEMS, 10) || 1000;
   }
 
   /**
-   * Initialize services and create header row if needed
+   * Whether any project is currently syncing
    */
-  async initialize() {
-    try {
-      console.log("Initializing sync service...");
+  get isRunning() {
+    return this.getProjects().some((project) => project.isRunning);
+  }
 
-      // Initialize Google Sheets service
-      await this.googleSheetsService.initialize();
+  getProjects() {
+    return Array.from(this.projects.values());
+  }
 
-      // Create header row if it doesn't exist
-      await this.googleSheetsService.createHeaderRow();
+  hasProject(key) {
+    return this.projects.has(key);
+  }
 
-      console.log("Sync service initialized successfully");
-      return true;
-    } catch (error) {
-      console.error("Failed to initialize sync service:", error.message);
-      throw error;
+  /**
+   * Get a single project. The key may be omitted when only one is configured.
+   */
+  getProject(key) {
+    if (!key) {
+      if (this.projects.size === 1) {
+        return this.getProjects()[0];
+      }
+      throw new Error(
+        "project is required when more than one project is configured"
+      );
     }
+
+    const project = this.projects.get(key);
+    if (!project) {
+      throw new Error(`Unknown project: ${key}`);
+    }
+    return project;
+  }
+
+  /**
+   * The given project, or every project when no key is given
+   */
+  resolveProjects(key) {
+    return key ? [this.getProject(key)] : this.getProjects();
   }
 
   /**
-   * Perform a single sync operation
+   * Initialize every project. A project that fails to initialize is retried
+   * on its next sync; startup only fails when no project could initialize.
    */
-  async performSync() {
-    const syncStartTime = new Date();
-    console.log(
-      `\n--- Starting sync operation at ${syncStartTime.toISOString()} ---`
+  async initialize() {
+    logger.info("Initializing sync service", {
+      projects: this.projects.size,
+    });
+
+    // A broken directory stops startup, like a broken rules file
+    await this.directory.load();
+
+    const results = await Promise.allSettled(
+      this.getProjects().map((project) => project.initialize())
     );
+    const failed = results.filter((result) => result.status === "rejected");
 
-    try {
-      if (this.isRunning) {
-        console.log("Sync already running, skipping this cycle");
-        return {
-          success: false,
-          message: "Sync already in progress",
-          timestamp: syncStartTime,
-        };
-      }
+    if (failed.length === results.length) {
+      throw failed[0].reason;
+    }
+
+    if (failed.length > 0) {
+      logger.warn("Some projects failed to initialize", {
+        failed: failed.length,
+        projects: results.length,
+      });
+    }
+
+    // Range sync jobs interrupted by a restart continue from here
+    this.jobs.start();
+
+    logger.info("Sync service initialized");
+    return true;
+  }
 
-      this.isRunning = true;
-
-      // Fetch attendance data
-      console.log("Fetching attendance data...");
-      const attendanceResult =
-        await this.attendanceService.getRecentAttendanceData();
-
-      if (!attendanceResult.records || attendanceResult.records.length === 0) {
-        console.log("No new attendance records found");
-        this.lastSyncResult = {
-          success: true,
-          message: "No new records",
-          recordsFetched: 0,
-          recordsAdded: 0,
-          timestamp: syncStartTime,
-          duration: Date.now() - syncStartTime.getTime(),
-        };
-        return this.lastSyncResult;
+  /**
+   * Combine per-project results into one summary
+   */
+  aggregateResults(results, startTime, label) {
+    const failed = results.filter((result) => !result.success);
+
+    return {
+      success: failed.length === 0,
+      message:
+        failed.length === 0
+          ? `${label} completed successfully`
+          : `${label} failed for ${failed.length} of ${results.length} project(s)`,
+      recordsFetched: results.reduce(
+        (sum, result) => sum + (result.recordsFetched || 0),
+        0
+      ),
+      recordsAdded: results.reduce(
+        (sum, result) => sum + (result.recordsAdded || 0),
+        0
+      ),
+      pagesFetched: results.reduce(
+        (sum, result) => sum + (result.pagesFetched || 0),
+        0
+      ),
+      projects: results.reduce((acc, result) => {
+        acc[result.project] = result;
+        return acc;
+      }, {}),
+      // Correlation id of the run, to find its log lines
+      runId: logger.getContext().runId || null,
+      timestamp: startTime,
+      duration: Date.now() - startTime.getTime(),
+    };
+  }
+
+  /**
+   * Sync every project (or just one) independently. `trigger` ("cron" or
+   * "manual") is kept in the run history.
+   */
+  async performSync(projectKey, { trigger = "manual" } = {}) {
+    return this.runLogged(trigger, async () => {
+      const syncStartTime = new Date();
+      const projects = this.resolveProjects(projectKey);
+      await this.directory.refreshIfStale();
+
+      const results = await Promise.all(
+        projects.map((project) => project.performSync())
+      );
+      this.emitSyncEvents(results);
+      this.checkAlerts(results);
+      try {
+        this.checkDevices();
+      } catch (error) {
+        logger.error("Device check failed", { error });
       }
 
-      // Process attendance records
-      const processedRecords = this.attendanceService.processAttendanceRecords(
-        attendanceResult.records,
-        attendanceResult.project
+      this.lastSyncResult = this.aggregateResults(
+        results.map(({ createdRecords, ...result }) => result),
+        syncStartTime,
+        "Sync"
       );
+      return this.lastSyncResult;
+    });
+  }
 
-      if (processedRecords.length === 0) {
-        console.log("No valid attendance records to sync");
-        this.lastSyncResult = {
-          success: true,
-          message: "No valid records to sync",
-          recordsFetched: attendanceResult.records.length,
-          recordsAdded: 0,
-          timestamp: syncStartTime,
-          duration: Date.now() - syncStartTime.getTime(),
-        };
-        return this.lastSyncResult;
+  /**
+   * Run a sync under a new runId, so everything it logs (TIPSOI fetch,
+   * processing, sink writes) can be traced back to the run. The id is
+   * returned in the result, and the outcome added to the run history.
+   */
+  runLogged(trigger, fn) {
+    return logger.runWithContext({ runId: logger.newId() }, async () => {
+      logger.info("Sync run started", { trigger });
+      const result = await fn();
+      // The records are already written; a full disk mustn't fail the run
+      try {
+        this.history.record(trigger, result);
+      } catch (error) {
+        logger.error("Failed to save sync history", { error });
       }
+      logger[result.success ? "info" : "warn"]("Sync run finished", {
+        trigger,
+        success: result.success,
+        recordsFetched: result.recordsFetched,
+        recordsAdded: result.recordsAdded,
+        durationMs: result.duration,
+      });
+      return result;
+    });
+  }
 
-      // Sync to Google Sheets
-      console.log(
-        `Syncing ${processedRecords.length} records to Google Sheets...`
-      );
-      const recordsAdded = await this.googleSheetsService.appendAttendanceData(
-        processedRecords
-      );
+  /**
+   * Feed records pushed by TIPSOI through a project's pipeline
+   */
+  async ingestRecords(projectKey, payload) {
+    const { createdRecords, ...result } = await this.getProject(
+      projectKey
+    ).ingestRecords(payload);
+
+    if (createdRecords.length > 0) {
+      this.webhooks.emitRecordsCreated(result.project, createdRecords);
+    }
+    if (result.accepted > 0) {
+      try {
+        this.alerts.noteRecords(result.project, this.localTime(result.project));
+      } catch (error) {
+        logger.error("Alert check failed", { project: result.project, error });
+      }
+    }
+    return result;
+  }
 
-      const syncEndTime = new Date();
-      const duration = syncEndTime.getTime() - syncStartTime.getTime();
+  /**
+   * Current local time of a project ("YYYY-MM-DD HH:MM:SS"); the first
+   * project's when the key is unknown or missing
+   */
+  localTime(projectKey) {
+    const project = this.projects.get(projectKey) || this.getProjects()[0];
+    return project.attendanceService.formatDateTime(new Date());
+  }
 
-      this.lastSyncResult = {
-        success: true,
-        message: "Sync completed successfully",
-        recordsFetched: attendanceResult.records.length,
-        recordsAdded: recordsAdded || 0,
-        timestamp: syncStartTime,
-        duration: duration,
-      };
+  /**
+   * Devices with their activity; see DeviceRegistry.describe
+   */
+  getDevices(options) {
+    return this.devices.list(
+      (projectKey) => this.localTime(projectKey),
+      options
+    );
+  }
+
+  /**
+   * Let the alert manager know how each project's sync went
+   */
+  checkAlerts(results) {
+    // Alerting never fails a sync: the records are already written
+    results.forEach((result) => {
+      try {
+        this.alerts.check({
+          project: result.project,
+          result,
+          now: this.localTime(result.project),
+          checkpoint: this.projects.get(result.project).checkpoint?.syncTime,
+        });
+      } catch (error) {
+        logger.error("Alert check failed", { project: result.project, error });
+      }
+    });
+  }
 
-      console.log(`--- Sync completed in ${duration}ms ---`);
-      console.log(`Records fetched: ${this.lastSyncResult.recordsFetched}`);
-      console.log(`Records added: ${this.lastSyncResult.recordsAdded}`);
+  /**
+   * Send device.offline for registered devices that went silent during
+   * their active hours, and device.online once they report again
+   */
+  checkDevices() {
+    const { offline, online } = this.devices.check((projectKey) =>
+      this.localTime(projectKey)
+    );
 
-      return this.lastSyncResult;
-    } catch (error) {
-      console.error("Sync operation failed:", error.message);
+    offline.forEach((device) => {
+      logger.warn("Device silent", {
+        device: device.device_identifier,
+        name: device.name,
+        lastSeen: device.lastSeen,
+      });
+      this.webhooks.emit("device.offline", device);
+    });
+    online.forEach((device) => {
+      logger.info("Device reporting again", {
+        device: device.device_identifier,
+      });
+      this.webhooks.emit("device.online", device);
+    });
+  }
 
-      this.lastSyncResult = {
-        success: false,
-        message: error.message,
-        error: error.name,
-        recordsFetched: 0,
-        recordsAdded: 0,
-        timestamp: syncStartTime,
-        duration: Date.now() - syncStartTime.getTime(),
-      };
+  /**
+   * Punches that matched no employee, most recent first
+   */
+  getUnknownEmployees(projectKey) {
+    return this.directory
+      .listUnknown()
+      .filter((entry) => !projectKey || entry.project === projectKey);
+  }
 
-      return this.lastSyncResult;
-    } finally {
-      this.isRunning = false;
+  /**
+   * Quarantined records, newest first
+   */
+  getQuarantine(filters = {}) {
+    return this.quarantine.list(filters);
+  }
+
+  /**
+   * Alert configuration, firing alerts and the latest notifications
+   */
+  getAlerts(limit) {
+    return {
+      ...this.alerts.getStatus(),
+      active: this.alerts.getActive(),
+      recent: this.alerts.getRecent(limit),
+    };
+  }
+
+  /**
+   * Past sync runs matching the filters, with last-24-hour stats
+   */
+  getSyncHistory(filters = {}) {
+    return {
+      ...this.history.list(filters),
+      stats: this.history.getStats(filters.project),
+    };
+  }
+
+  /**
+   * Quarantine entries with this id; more than one when projects share uids
+   */
+  findQuarantined(id) {
+    return this.quarantine.find(id);
+  }
+
+  /**
+   * Replay a quarantined record into its project's sinks
+   */
+  async replayQuarantined(projectKey, id, options) {
+    const { createdRecords = [], ...result } = await this.getProject(
+      projectKey
+    ).replayQuarantined(id, options);
+
+    if (createdRecords.length > 0) {
+      this.webhooks.emitRecordsCreated(result.project, createdRecords);
     }
+    return result;
   }
 
-  async fetchAttendanceData(filters = {}) {
-    const fetchStartTime = new Date();
-    console.log(
-      `\n--- Starting fetch operation at ${fetchStartTime.toISOString()} ---`
-    );
+  /**
+   * Notify webhook subscribers about each project's sync: the new records
+   * (attendance.created), then sync.completed or sync.failed. Skipped runs
+   * (a sync already in progress) send nothing.
+   */
+  emitSyncEvents(results) {
+    results
+      .filter((result) => !result.skipped)
+      .forEach(({ createdRecords = [], ...result }) => {
+        if (createdRecords.length > 0) {
+          this.webhooks.emitRecordsCreated(result.project, createdRecords);
+        }
+
+        this.webhooks.emit(result.success ? "sync.completed" : "sync.failed", {
+          project: result.project,
+          success: result.success,
+          message: result.message,
+          recordsFetched: result.recordsFetched,
+          recordsAdded: result.recordsAdded,
+          checkpoint: result.checkpoint || null,
+          sinks: result.sinks,
+          timestamp: result.timestamp,
+          duration: result.duration,
+        });
+      });
+  }
+
+  /**
+   * Dry run of a sync, or of a range sync when `startDate` / `endDate` are
+   * given, for every project (or just one). Nothing is written, so the run
+   * isn't kept in the history.
+   */
+  async previewSync(projectKey, { startDate, endDate, criteria } = {}) {
+    return logger.runWithContext({ runId: logger.newId() }, async () => {
+      const startTime = new Date();
+      const projects = this.resolveProjects(projectKey);
+      await this.directory.refreshIfStale();
+
+      const results = await Promise.all(
+        projects.map((project) =>
+          project.previewSync({
+            startDate,
+            endDate,
+            criteria,
+            maxItems: this.dryRunMaxItems,
+          })
+        )
+      );
 
-    try {
-      // Set default time range if not provided
-      const currentYear = new Date().getFullYear();
-      const defaultStartTime =
-        filters.startTime || `${currentYear}-01-01T00:00:00`;
-      const defaultEndTime =
-        filters.endTime || `${currentYear + 1}-12-31T23:59:59`;
-
-      // Create filters object with defaults
-      const queryFilters = {
-        ...filters,
-        startTime: defaultStartTime,
-        endTime: defaultEndTime,
+      const sum = (field) =>
+        results.reduce((total, result) => total + (result[field] || 0), 0);
+      return {
+        ...this.aggregateResults(results, startTime, "Dry run"),
+        dryRun: true,
+        recordsToAdd: sum("recordsToAdd"),
+        recordsSkipped: sum("recordsSkipped"),
+        recordsRejected: sum("recordsRejected"),
       };
+    });
+  }
+
+  /**
+   * Queue a range sync as a background job (see SyncJobQueue)
+   */
+  createSyncJob(startDate, endDate, criteria = "sync_time", projectKey, actor) {
+    return this.jobs.create({
+      start: startDate,
+      end: endDate,
+      criteria,
+      project: projectKey,
+      requestedBy: actor ? actor.id : null,
+    });
+  }
 
-      console.log(
-        `Fetching data from ${queryFilters.startTime} to ${queryFilters.endTime}`
+  /**
+   * Perform manual sync with custom date range. Used for each chunk of a
+   * range sync job.
+   */
+  async performManualSync(
+    startDate,
+    endDate,
+    criteria = "sync_time",
+    projectKey
+  ) {
+    return this.runLogged("range", async () => {
+      const syncStartTime = new Date();
+      const projects = this.resolveProjects(projectKey);
+      await this.directory.refreshIfStale();
+
+      const results = await Promise.all(
+        projects.map((project) =>
+          project.performManualSync(startDate, endDate, criteria)
+        )
       );
 
-      // Fetch attendance data with filters
-      console.log("Fetching attendance data...");
-      const attendanceResult =
-        await this.attendanceService.getRecentAttendanceData(queryFilters);
-
-      if (!attendanceResult.records || attendanceResult.records.length === 0) {
-        console.log("No attendance records found");
-        return {
-          success: true,
-          message: "No records found",
-          records: [],
-          project: attendanceResult.project,
-          recordsFetched: 0,
-          filters: queryFilters,
-          timestamp: fetchStartTime,
-          duration: Date.now() - fetchStartTime.getTime(),
-        };
-      }
+      return this.aggregateResults(results, syncStartTime, "Manual sync");
+    });
+  }
 
-      // Process attendance records
-      const processedRecords = this.attendanceService.processAttendanceRecords(
-        attendanceResult.records,
-        attendanceResult.project
-      );
+  /**
+   * Read-only attendance query across every project (or just one):
+   * fetch the time window, then filter, sort and page the records
+   */
+  async queryAttendance(query) {
+    const projects = this.resolveProjects(query.project);
+
+    const results = await Promise.all(
+      projects.map((project) =>
+        project.fetchAttendanceData(
+          query.startTime,
+          query.endTime,
+          query.criteria
+        )
+      )
+    );
+
+    const page = queryRecords(
+      results.flatMap((result) => result.records),
+      query
+    );
+
+    return {
+      ...page,
+      projects: results.map(({ records, ...result }) => result),
+    };
+  }
 
-      if (processedRecords.length === 0) {
-        console.log("No valid attendance records after processing");
-        return {
-          success: true,
-          message: "No valid records after processing",
-          records: [],
-          project: attendanceResult.project,
-          recordsFetched: attendanceResult.records.length,
-          filters: queryFilters,
-          timestamp: fetchStartTime,
-          duration: Date.now() - fetchStartTime.getTime(),
-        };
+  /**
+   * Yield batches of records matching the query's filters, project by
+   * project and page by page, without buffering the whole window
+   */
+  async *iterateAttendance(query) {
+    for (const project of this.resolveProjects(query.project)) {
+      for await (const records of project.iterateAttendanceData(
+        query.startTime,
+        query.endTime,
+        query.criteria
+      )) {
+        const matching = records.filter((record) =>
+          matchesFilters(record, query.filters)
+        );
+        if (matching.length > 0) {
+          yield matching;
+        }
       }
+    }
+  }
 
-      const fetchEndTime = new Date();
-      const duration = fetchEndTime.getTime() - fetchStartTime.getTime();
+  /**
+   * Daily timesheets for every project (or just one)
+   */
+  async getTimesheets(startDate, endDate, filters = {}) {
+    const projects = this.resolveProjects(filters.project);
 
-      console.log(`--- Fetch completed in ${duration}ms ---`);
-      console.log(`Records fetched: ${processedRecords.length}`);
+    const results = await Promise.all(
+      projects.map((project) =>
+        project.getTimesheets(startDate, endDate, filters)
+      )
+    );
 
-      return {
-        success: true,
-        message: "Data fetched successfully",
-        records: processedRecords,
-        project: attendanceResult.project,
-        recordsFetched: processedRecords.length,
-        filters: queryFilters,
-        timestamp: fetchStartTime,
-        duration: duration,
-      };
-    } catch (error) {
-      console.error("Fetch operation failed:", error.message);
+    return results.flat();
+  }
 
-      return {
-        success: false,
-        message: error.message,
-        error: error.name,
-        records: [],
-        recordsFetched: 0,
-        timestamp: fetchStartTime,
-        duration: Date.now() - fetchStartTime.getTime(),
-      };
-    }
+  /**
+   * Rewrite the "Daily Summary" tab of every project (or just one)
+   */
+  async publishDailySummary(startDate, endDate, projectKey) {
+    const projects = this.resolveProjects(projectKey);
+
+    const results = await Promise.all(
+      projects.map((project) =>
+        project
+          .publishDailySummary(startDate, endDate)
+          .catch((error) => ({ success: false, message: error.message }))
+          .then((result) => ({ ...result, project: project.key }))
+      )
+    );
+
+    return {
+      success: results.every((result) => result.success),
+      projects: results,
+    };
+  }
+
+  /**
+   * Whether any of the given projects (or every project) has shifts defined
+   */
+  hasShifts(projectKey) {
+    return this.resolveProjects(projectKey).some(
+      (project) => project.shiftService.configured
+    );
+  }
+
+  /**
+   * Attendance exceptions for every project with shifts (or just one)
+   */
+  async getExceptions(startDate, endDate, filters = {}) {
+    const projects = this.resolveProjects(filters.project).filter(
+      (project) => project.shiftService.configured
+    );
+
+    const results = await Promise.all(
+      projects.map((project) =>
+        project.getExceptions(startDate, endDate, filters)
+      )
+    );
+
+    return results.flat();
+  }
+
+  /**
+   * Rewrite the "Exceptions" tab of every project (or just one)
+   */
+  async publishExceptions(startDate, endDate, projectKey) {
+    const projects = this.resolveProjects(projectKey);
+
+    const results = await Promise.all(
+      projects.map((project) =>
+        project
+          .publishExceptions(startDate, endDate)
+          .catch((error) => ({ success: false, message: error.message }))
+          .then((result) => ({ ...result, project: project.key }))
+      )
+    );
+
+    return {
+      success: results.every((result) => result.success),
+      projects: results,
+    };
+  }
+
+  /**
+   * Get the persisted sync checkpoints for every project
+   */
+  async getCheckpoints() {
+    return await this.checkpointStore.getAll();
+  }
+
+  /**
+   * Rewind (or clear) a project's sync checkpoint
+   */
+  async rewindCheckpoint(syncTime, projectKey) {
+    return await this.getProject(projectKey).rewindCheckpoint(syncTime);
+  }
+
+  /**
+   * Rebuild a project's local UID dedup index from its sheet
+   */
+  async reindexSheet(projectKey) {
+    return await this.getProject(projectKey).reindexSheet();
   }
+
+  /**
+   * Record a cron start/stop in the audit trail. `context` describes who
+   * asked (actor, route, method) and why (source: startup, http, shutdown).
+   */
+  auditCronChange(action, context, result) {
+    const { actor, ...details } = context;
+    this.auditLog.record({
+      action,
+      actor: actor || { id: "system" },
+      ...details,
+      params: { syncInterval: this.syncInterval },
+      result,
+    });
+  }
+
   /**
    * Start the cron job
    */
-  startCronJob() {
+  startCronJob(context = {}) {
     if (this.cronJob) {
-      console.log("Cron job already running");
+      logger.warn("Cron job already running");
+      this.auditCronChange("cron.start", context, {
+        success: false,
+        message: "Cron job already running",
+      });
       return false;
     }
 
     // Validate cron expression
     if (!cron.validate(this.syncInterval)) {
+      this.auditCronChange("cron.start", context, {
+        success: false,
+        message: `Invalid cron expression: ${this.syncInterval}`,
+      });
       throw new Error(`Invalid cron expression: ${this.syncInterval}`);
     }
 
-    console.log(`Starting cron job with interval: ${this.syncInterval}`);
+    logger.info("Starting cron job", { interval: this.syncInterval });
 
     this.cronJob = cron.schedule(
       this.syncInterval,
       async () => {
-        await this.performSync();
+        // Nothing may escape a scheduled run: an unhandled rejection stops
+        // the server
+        try {
+          const result = await this.performSync(undefined, {
+            trigger: "cron",
+          });
+          Object.values(result.projects).forEach((project) =>
+            metrics.countCronRun(
+              project.project,
+              project.skipped
+                ? "skipped"
+                : project.success
+                ? "success"
+                : "failure"
+            )
+          );
+        } catch (error) {
+          logger.error("Scheduled sync failed", { error });
+        }
       },
       {
         scheduled: false,
@@ -257,20 +695,26 @@ class SyncService {
     );
 
     this.cronJob.start();
-    console.log("Cron job started successfully");
+    logger.info("Cron job started");
+    this.auditCronChange("cron.start", context, { success: true });
     return true;
   }
 
   /**
    * Stop the cron job
    */
-  stopCronJob() {
+  stopCronJob(context = {}) {
     if (this.cronJob) {
       this.cronJob.stop();
       this.cronJob = null;
-      console.log("Cron job stopped");
+      logger.info("Cron job stopped");
+      this.auditCronChange("cron.stop", context, { success: true });
       return true;
     }
+    this.auditCronChange("cron.stop", context, {
+      success: false,
+      message: "Cron job was not running",
+    });
     return false;
   }
 
@@ -286,12 +730,23 @@ class SyncService {
    */
   getStatus() {
     return {
-      initialized: this.googleSheetsService.initialized,
+      initialized: this.getProjects().every((project) => project.initialized),
       cronJobRunning: this.isCronJobRunning(),
       syncInProgress: this.isRunning,
       syncInterval: this.syncInterval,
       lastSyncResult: this.lastSyncResult,
-      attendanceServiceStatus: this.attendanceService.getStatus(),
+      checkpointStore: this.checkpointStore.type,
+      webhooks: this.webhooks.getStatus(),
+      quarantine: this.quarantine.getStatus(),
+      directory: this.directory.getStatus(),
+      devices: this.devices.getStatus(),
+      history: this.history.getStatus(),
+      alerts: this.alerts.getStatus(),
+      jobs: this.jobs.getStatus(),
+      projects: this.getProjects().reduce((acc, project) => {
+        acc[project.key] = project.getStatus();
+        return acc;
+      }, {}),
       uptime: process.uptime(),
     };
   }
@@ -302,109 +757,17 @@ class SyncService {
   async testServices() {
     const testResults = {
       timestamp: new Date().toISOString(),
-      tests: {},
+      projects: {},
     };
 
-    try {
-      // Test attendance service
-      console.log("Testing attendance service...");
-      testResults.tests.attendanceService =
-        await this.attendanceService.testConnection();
-
-      // Test Google Sheets service
-      console.log("Testing Google Sheets service...");
-      try {
-        const sheetInfo = await this.googleSheetsService.getSheetInfo();
-        testResults.tests.googleSheets = {
-          success: true,
-          message: "Google Sheets connection successful",
-          sheetInfo: sheetInfo,
-        };
-      } catch (error) {
-        testResults.tests.googleSheets = {
-          success: false,
-          message: error.message,
-        };
-      }
-
-      // Overall status
-      testResults.overallSuccess =
-        testResults.tests.attendanceService.success &&
-        testResults.tests.googleSheets.success;
-
-      return testResults;
-    } catch (error) {
-      testResults.error = error.message;
-      testResults.overallSuccess = false;
-      return testResults;
+    for (const project of this.getProjects()) {
+      testResults.projects[project.key] = await project.testServices();
     }
-  }
 
-  /**
-   * Perform manual sync with custom date range
-   */
-  async performManualSync(startDate, endDate) {
-    const syncStartTime = new Date();
-    console.log(
-      `\n--- Starting manual sync from ${startDate.toISOString()} to ${endDate.toISOString()} ---`
+    testResults.overallSuccess = Object.values(testResults.projects).every(
+      (result) => result.overallSuccess
     );
-
-    try {
-      if (this.isRunning) {
-        throw new Error("Another sync operation is already running");
-      }
-
-      this.isRunning = true;
-
-      // Fetch attendance data for the specified range
-      const attendanceResult =
-        await this.attendanceService.getAttendanceDataForRange(
-          startDate,
-          endDate
-        );
-
-      if (!attendanceResult.records || attendanceResult.records.length === 0) {
-        return {
-          success: true,
-          message: "No records found in the specified date range",
-          recordsFetched: 0,
-          recordsAdded: 0,
-          timestamp: syncStartTime,
-          duration: Date.now() - syncStartTime.getTime(),
-        };
-      }
-
-      // Process and sync records
-      const processedRecords = this.attendanceService.processAttendanceRecords(
-        attendanceResult.records,
-        attendanceResult.project
-      );
-
-      const recordsAdded = await this.googleSheetsService.appendAttendanceData(
-        processedRecords
-      );
-
-      const duration = Date.now() - syncStartTime.getTime();
-
-      return {
-        success: true,
-        message: "Manual sync completed successfully",
-        recordsFetched: attendanceResult.records.length,
-        recordsAdded: recordsAdded || 0,
-        timestamp: syncStartTime,
-        duration: duration,
-      };
-    } catch (error) {
-      return {
-        success: false,
-        message: error.message,
-        error: error.name,
-        timestamp: syncStartTime,
-        duration: Date.now() - syncStartTime.getTime(),
-      };
-    } finally {
-      this.isRunning = false;
-    }
+    return testResults;
   }
 }
 
@@ -0,0 +1,145 @@
+/**
+ * Builds daily timesheets (first-in, last-out, worked time) from processed
+ * attendance records.
+ *
+ * Punches are grouped per person into work sessions: a session collects
+ * every punch within `maxShiftHours` of its first punch, and the next punch
+ * after that starts a new session. A session belongs to the local calendar
+ * day of its first punch, so an overnight shift that crosses midnight is
+ * counted on the day it started.
+ */
+class TimesheetService {
+  constructor(options = {}) {
+    this.maxShiftHours =
+      options.maxShiftHours ||
+      parseFloat(process.env.TIMESHEET_MAX_SHIFT_HOURS) ||
+      16;
+    // Converts a TIPSOI local time string to a Date; defaults to wall-clock
+    this.parseDateTime =
+      options.parseDateTime ||
+      ((value) => new Date(`${value.replace(" ", "T")}Z`));
+  }
+
+  /**
+   * Split one person's sorted punches into work sessions
+   */
+  splitSessions(punches) {
+    const maxShiftMs = this.maxShiftHours * 60 * 60 * 1000;
+    const sessions = [];
+    let current = null;
+
+    for (const punch of punches) {
+      if (!current || punch.time - current[0].time > maxShiftMs) {
+        current = [];
+        sessions.push(current);
+      }
+      current.push(punch);
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Compute one timesheet entry per person per local calendar day
+   */
+  computeDailyTimesheets(records) {
+    const punchesByPerson = new Map();
+
+    for (const record of records) {
+      if (!record.person_identifier || !record.logged_time) {
+        continue;
+      }
+
+      const time = this.parseDateTime(record.logged_time).getTime();
+      if (isNaN(time)) {
+        continue;
+      }
+
+      if (!punchesByPerson.has(record.person_identifier)) {
+        punchesByPerson.set(record.person_identifier, []);
+      }
+      punchesByPerson.get(record.person_identifier).push({ time, record });
+    }
+
+    const days = new Map();
+
+    for (const [person, punches] of punchesByPerson) {
+      punches.sort((a, b) => a.time - b.time);
+
+      for (const session of this.splitSessions(punches)) {
+        const first = session[0];
+        const last = session[session.length - 1];
+        const date = first.record.logged_time.slice(0, 10);
+        const key = `${date}|${person}`;
+
+        if (!days.has(key)) {
+          days.set(key, {
+            date,
+            person_identifier: person,
+            project: first.record.project?.code || "",
+            firstIn: first.record.logged_time,
+            lastOut: last.record.logged_time,
+            workedMinutes: 0,
+            punchCount: 0,
+            sessions: 0,
+            overnight: false,
+          });
+        }
+
+        const day = days.get(key);
+        day.lastOut = last.record.logged_time;
+        day.workedMinutes += Math.round((last.time - first.time) / 60000);
+        day.punchCount += session.length;
+        day.sessions += 1;
+        day.overnight =
+          day.overnight || last.record.logged_time.slice(0, 10) !== date;
+      }
+    }
+
+    return Array.from(days.values())
+      .map((day) => ({
+        ...day,
+        workedHours: Math.round((day.workedMinutes / 60) * 100) / 100,
+        // A single punch has no matching in/out
+        incomplete: day.punchCount < 2,
+      }))
+      .sort(
+        (a, b) =>
+          a.date.localeCompare(b.date) ||
+          a.person_identifier.localeCompare(b.person_identifier)
+      );
+  }
+
+  /**
+   * Convert timesheet entries to "Daily Summary" sheet rows
+   */
+  toSheetRows(timesheets) {
+    return timesheets.map((day) => [
+      day.date,
+      day.person_identifier,
+      day.firstIn,
+      day.lastOut,
+      day.workedHours,
+      day.workedMinutes,
+      day.punchCount,
+      day.overnight ? "Yes" : "No",
+      day.incomplete ? "Yes" : "No",
+      day.project,
+    ]);
+  }
+}
+
+TimesheetService.SHEET_HEADERS = [
+  "Date",
+  "Person ID",
+  "First In",
+  "Last Out",
+  "Worked Hours",
+  "Worked Minutes",
+  "Punch Count",
+  "Overnight",
+  "Incomplete",
+  "Project Code",
+];
+
+module.exports = TimesheetService;
@@ -0,0 +1,84 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Persistent local index of UIDs already written to a sheet.
+ * Stored as one UID per line so new UIDs can be appended cheaply.
+ */
+class UidIndex {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.uids = new Set();
+    this.loaded = false;
+    this.rebuiltAt = null;
+  }
+
+  /**
+   * Load the index from disk. Returns false when no index file exists yet.
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return false;
+    }
+
+    const content = fs.readFileSync(this.filePath, "utf8");
+    this.uids = new Set(content.split("\n").filter((uid) => uid));
+    this.loaded = true;
+    return true;
+  }
+
+  /**
+   * Replace the index with the given UIDs
+   */
+  rebuild(uids) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const unique = new Set(uids.filter((uid) => uid));
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(
+      tmpPath,
+      unique.size > 0 ? `${Array.from(unique).join("\n")}\n` : ""
+    );
+    fs.renameSync(tmpPath, this.filePath);
+
+    this.uids = unique;
+    this.rebuiltAt = new Date();
+    this.loaded = true;
+  }
+
+  has(uid) {
+    return this.uids.has(uid);
+  }
+
+  /**
+   * Record newly written UIDs
+   */
+  add(uids) {
+    if (!this.loaded) {
+      throw new Error("UID index is not loaded");
+    }
+
+    const added = uids.filter((uid) => uid && !this.uids.has(uid));
+    if (added.length === 0) {
+      return;
+    }
+
+    fs.appendFileSync(this.filePath, `${added.join("\n")}\n`);
+    added.forEach((uid) => this.uids.add(uid));
+  }
+
+  get size() {
+    return this.uids.size;
+  }
+
+  getStatus() {
+    return {
+      path: this.filePath,
+      loaded: this.loaded,
+      size: this.size,
+      rebuiltAt: this.rebuiltAt,
+    };
+  }
+}
+
+module.exports = UidIndex;
@@ -0,0 +1,325 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const RetryPolicy = require("./retryPolicy");
+const logger = require("./logger");
+
+// Shortest secret accepted when the caller brings their own
+const MIN_SECRET_LENGTH = 16;
+
+const EVENTS = [
+  "attendance.created",
+  "sync.failed",
+  "sync.completed",
+  "device.offline",
+  "device.online",
+];
+
+/**
+ * Outbound webhook subscriptions. Subscriptions are stored in
+ * WEBHOOKS_PATH; every delivery is a JSON POST signed with the
+ * subscription's secret:
+ *
+ *   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ *
+ * Deliveries run in the background, are retried with the WEBHOOK_RETRY_*
+ * policy and land in a dead-letter list (WEBHOOK_DEAD_LETTER_PATH) when
+ * every attempt failed.
+ */
+class WebhookDispatcher {
+  constructor(options = {}) {
+    this.filePath =
+      options.path || process.env.WEBHOOKS_PATH || "./data/webhooks.json";
+    this.deadLetterPath =
+      options.deadLetterPath ||
+      process.env.WEBHOOK_DEAD_LETTER_PATH ||
+      "./data/webhook-dead-letters.json";
+    this.maxDeadLetters =
+      options.maxDeadLetters ||
+      parseInt(process.env.WEBHOOK_DEAD_LETTER_MAX, 10) ||
+      1000;
+    this.batchSize =
+      options.batchSize || parseInt(process.env.WEBHOOK_BATCH_SIZE, 10) || 500;
+    this.timeout = options.timeout || 10000;
+    this.retryPolicy =
+      options.retryPolicy || RetryPolicy.fromEnv("WEBHOOK", "webhooks");
+    this.subscriptions = this.readJson(this.filePath);
+    this.deadLetters = this.readJson(this.deadLetterPath);
+    this.pending = new Set();
+    this.stats = { delivered: 0, failed: 0 };
+  }
+
+  readJson(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  }
+
+  writeJson(filePath, value) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(value, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * A subscription as shown by the API (secret hidden)
+   */
+  describe(subscription) {
+    const { secret, ...rest } = subscription;
+    return { ...rest, secret: `${secret.slice(0, 4)}...` };
+  }
+
+  list() {
+    return this.subscriptions.map((subscription) =>
+      this.describe(subscription)
+    );
+  }
+
+  get(id) {
+    return this.subscriptions.find((subscription) => subscription.id === id);
+  }
+
+  /**
+   * Validate subscription fields; returns an error message or null
+   */
+  validate({ url, events, secret }) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return "url must be a valid http(s) URL";
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      return "url must be a valid http(s) URL";
+    }
+
+    if (!Array.isArray(events) || events.length === 0) {
+      return `events must be a non-empty list of: ${EVENTS.join(", ")}`;
+    }
+    const unknown = events.filter((event) => !EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return `Unknown event(s): ${unknown.join(", ")}. Use ${EVENTS.join(
+        ", "
+      )}`;
+    }
+
+    if (
+      secret !== undefined &&
+      (typeof secret !== "string" || secret.length < MIN_SECRET_LENGTH)
+    ) {
+      return `secret must be a string of at least ${MIN_SECRET_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Register a subscription. The full secret is only returned here.
+   */
+  create({ url, events, secret, description }) {
+    const subscription = {
+      id: crypto.randomUUID(),
+      url,
+      events,
+      secret: secret || crypto.randomBytes(32).toString("hex"),
+      description: description || "",
+      createdAt: new Date().toISOString(),
+    };
+
+    this.subscriptions.push(subscription);
+    this.writeJson(this.filePath, this.subscriptions);
+    return subscription;
+  }
+
+  remove(id) {
+    const before = this.subscriptions.length;
+    this.subscriptions = this.subscriptions.filter(
+      (subscription) => subscription.id !== id
+    );
+    if (this.subscriptions.length === before) {
+      return false;
+    }
+    this.writeJson(this.filePath, this.subscriptions);
+    return true;
+  }
+
+  sign(secret, timestamp, body) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+  }
+
+  /**
+   * POST one payload to one subscription, retrying with backoff
+   */
+  async deliver(subscription, payload) {
+    const body = JSON.stringify(payload);
+    const startedAt = Date.now();
+
+    try {
+      const response = await this.retryPolicy.execute(() => {
+        // Signed per attempt so receivers can reject stale timestamps
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        return axios.post(subscription.url, body, {
+          timeout: this.timeout,
+          headers: {
+            "Content-Type": "application/json",
+            "X-Webhook-Id": payload.id,
+            "X-Webhook-Event": payload.event,
+            "X-Webhook-Timestamp": timestamp,
+            "X-Webhook-Signature": `sha256=${this.sign(
+              subscription.secret,
+              timestamp,
+              body
+            )}`,
+          },
+        });
+      }, `deliver ${payload.event}`);
+
+      this.stats.delivered += 1;
+      return {
+        success: true,
+        status: response.status,
+        duration: Date.now() - startedAt,
+      };
+    } catch (error) {
+      this.stats.failed += 1;
+      return {
+        success: false,
+        status: error.response?.status,
+        message: error.message,
+        duration: Date.now() - startedAt,
+      };
+    }
+  }
+
+  /**
+   * Deliver in the background; park the payload in the dead-letter list if
+   * every attempt fails
+   */
+  enqueue(subscription, payload) {
+    const delivery = this.deliver(subscription, payload)
+      .then((result) => {
+        if (!result.success) {
+          logger.error("Webhook delivery failed", {
+            event: payload.event,
+            url: subscription.url,
+            message: result.message,
+          });
+          this.addDeadLetter(subscription, payload, result);
+        }
+      })
+      .catch((error) =>
+        logger.error("Failed to record webhook dead letter", { error })
+      )
+      .finally(() => this.pending.delete(delivery));
+    this.pending.add(delivery);
+  }
+
+  addDeadLetter(subscription, payload, result) {
+    this.deadLetters.push({
+      id: crypto.randomUUID(),
+      subscriptionId: subscription.id,
+      url: subscription.url,
+      event: payload.event,
+      payload,
+      failedAt: new Date().toISOString(),
+      status: result.status || null,
+      message: result.message,
+    });
+    // Keep the newest entries only
+    this.deadLetters = this.deadLetters.slice(-this.maxDeadLetters);
+    this.writeJson(this.deadLetterPath, this.deadLetters);
+  }
+
+  /**
+   * Send an event to every subscription listening for it. Does not wait
+   * for deliveries.
+   */
+  emit(event, data) {
+    const subscribers = this.subscriptions.filter((subscription) =>
+      subscription.events.includes(event)
+    );
+    if (subscribers.length === 0) {
+      return 0;
+    }
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+    subscribers.forEach((subscription) => this.enqueue(subscription, payload));
+    return subscribers.length;
+  }
+
+  /**
+   * attendance.created, in batches of WEBHOOK_BATCH_SIZE records
+   */
+  emitRecordsCreated(project, records) {
+    for (let i = 0; i < records.length; i += this.batchSize) {
+      this.emit("attendance.created", {
+        project,
+        records: records.slice(i, i + this.batchSize),
+      });
+    }
+  }
+
+  /**
+   * Send a webhook.test event to one subscription and wait for the result
+   */
+  async test(id) {
+    const subscription = this.get(id);
+    return await this.deliver(subscription, {
+      id: crypto.randomUUID(),
+      event: "webhook.test",
+      createdAt: new Date().toISOString(),
+      data: { message: "Test delivery" },
+    });
+  }
+
+  /**
+   * Deliver a dead letter again; it is removed from the list on success
+   */
+  async redeliver(id) {
+    const deadLetter = this.deadLetters.find((entry) => entry.id === id);
+    const subscription = this.get(deadLetter.subscriptionId);
+    if (!subscription) {
+      return { success: false, message: "Subscription no longer exists" };
+    }
+
+    const result = await this.deliver(subscription, deadLetter.payload);
+    if (result.success) {
+      this.removeDeadLetter(id);
+    }
+    return result;
+  }
+
+  hasDeadLetter(id) {
+    return this.deadLetters.some((entry) => entry.id === id);
+  }
+
+  removeDeadLetter(id) {
+    this.deadLetters = this.deadLetters.filter((entry) => entry.id !== id);
+    this.writeJson(this.deadLetterPath, this.deadLetters);
+  }
+
+  getStatus() {
+    return {
+      subscriptions: this.subscriptions.length,
+      pendingDeliveries: this.pending.size,
+      deadLetters: this.deadLetters.length,
+      delivered: this.stats.delivered,
+      failed: this.stats.failed,
+      retryPolicy: this.retryPolicy.getStatus(),
+    };
+  }
+}
+
+WebhookDispatcher.EVENTS = EVENTS;
+
+module.exports = WebhookDispatcher;
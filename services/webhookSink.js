@@ -0,0 +1,132 @@
+const axios = require("axios");
+const path = require("path");
+const UidIndex = require("./uidIndex");
+const RetryPolicy = require("./retryPolicy");
+
+/**
+ * Sink that POSTs batches of processed records as JSON to a URL:
+ *
+ *   { "project": "factory-a", "records": [ ... ] }
+ *
+ * UIDs that were delivered are kept in a local index so the same punch
+ * isn't posted twice. Failed batches are retried with the SINK_RETRY_*
+ * policy and then on the next sync.
+ */
+class WebhookSink {
+  constructor(options = {}) {
+    this.type = "webhook";
+    this.name = options.name || "webhook";
+    this.url = options.url;
+    if (!this.url) {
+      throw new Error(`Webhook sink ${this.name} has no url`);
+    }
+    this.projectKey = options.projectKey;
+    this.headers = { ...(options.headers || {}) };
+    if (options.authTokenEnv) {
+      this.headers.Authorization = `Bearer ${
+        process.env[options.authTokenEnv]
+      }`;
+    }
+    this.batchSize = options.batchSize || 500;
+    this.timeout = options.timeout || 30000;
+    const indexName = `${options.projectKey || "default"}-${this.name}`.replace(
+      /[^A-Za-z0-9_-]/g,
+      "_"
+    );
+    this.uidIndex = new UidIndex(
+      options.indexPath ||
+        path.join(
+          process.env.UID_INDEX_DIR || "./data",
+          `webhook-sink-${indexName}.txt`
+        )
+    );
+    this.retryPolicy =
+      options.retryPolicy ||
+      RetryPolicy.fromEnv("SINK", `sink ${this.name}`, this.projectKey);
+    this.initialized = false;
+    this.lastDelivery = null;
+  }
+
+  async init() {
+    if (!this.uidIndex.load()) {
+      this.uidIndex.rebuild([]);
+    }
+    this.initialized = true;
+  }
+
+  async dedupe(records) {
+    const seen = new Set();
+    return records.filter((record) => {
+      if (this.uidIndex.has(record.uid) || seen.has(record.uid)) {
+        return false;
+      }
+      seen.add(record.uid);
+      return true;
+    });
+  }
+
+  async writeBatch(records) {
+    const newRecords = await this.dedupe(records);
+    let delivered = 0;
+
+    for (let i = 0; i < newRecords.length; i += this.batchSize) {
+      const batch = newRecords.slice(i, i + this.batchSize);
+      try {
+        const response = await this.retryPolicy.execute(
+          () =>
+            axios.post(
+              this.url,
+              { project: this.projectKey, records: batch },
+              { headers: this.headers, timeout: this.timeout }
+            ),
+          "post records"
+        );
+        this.lastDelivery = {
+          success: true,
+          status: response.status,
+          records: batch.length,
+          timestamp: new Date(),
+        };
+      } catch (error) {
+        this.lastDelivery = {
+          success: false,
+          status: error.response?.status,
+          message: error.message,
+          timestamp: new Date(),
+        };
+        throw error;
+      }
+
+      // Record each batch as soon as it is accepted
+      this.uidIndex.add(batch.map((record) => record.uid));
+      delivered += batch.length;
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Report the outcome of the last delivery (the URL is not probed, a test
+   * POST could be taken for real data)
+   */
+  async health() {
+    if (!this.lastDelivery) {
+      return { healthy: true, message: "No deliveries yet" };
+    }
+    return { healthy: this.lastDelivery.success, ...this.lastDelivery };
+  }
+
+  getStatus() {
+    return {
+      type: this.type,
+      name: this.name,
+      initialized: this.initialized,
+      url: this.url,
+      lastDelivery: this.lastDelivery,
+      uidIndex: this.uidIndex.getStatus(),
+      retryPolicy: this.retryPolicy.getStatus(),
+    };
+  }
+}
+
+module.exports = WebhookSink;
@@ -0,0 +1,77 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ProjectSync = require("../services/projectSync");
+const QuarantineStore = require("../services/quarantineStore");
+
+function createProjectSync() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tipsoi-sync-"));
+  const quarantine = new QuarantineStore({
+    path: path.join(dir, "quarantine.json"),
+  });
+  const projectSync = new ProjectSync(
+    {
+      key: "test",
+      sinks: [{ type: "jsonl", path: path.join(dir, "records.jsonl") }],
+    },
+    { quarantine }
+  );
+  return { projectSync, quarantine };
+}
+
+const record = (fields) => ({
+  uid: "u1",
+  sync_time: "2024-01-02 10:00:00",
+  logged_time: "2024-01-02 09:59:00",
+  type: "card",
+  device_identifier: "D1",
+  person_identifier: "P1",
+  ...fields,
+});
+
+test("a record with a malformed time is quarantined", () => {
+  const { projectSync, quarantine } = createProjectSync();
+
+  const { processedRecords, recordsQuarantined } = projectSync.processRecords(
+    [
+      record({ uid: "good" }),
+      record({ uid: "bad-sync", sync_time: "garbage" }),
+      record({ uid: "bad-logged", logged_time: "2024-01-02T09:59:00Z" }),
+    ],
+    {},
+    "sync"
+  );
+
+  assert.deepStrictEqual(
+    processedRecords.map((processed) => processed.uid),
+    ["good"]
+  );
+  assert.strictEqual(recordsQuarantined, 2);
+  assert.deepStrictEqual(quarantine.get("test", "bad-sync").reasons, [
+    "Invalid sync_time",
+  ]);
+  assert.deepStrictEqual(quarantine.get("test", "bad-logged").reasons, [
+    "Invalid logged_time",
+  ]);
+});
+
+test("a record rejected again is kept over older entries", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tipsoi-quarantine-"));
+  const quarantine = new QuarantineStore({
+    path: path.join(dir, "quarantine.json"),
+    maxEntries: 2,
+  });
+  const reject = (uid) => ({ record: record({ uid }), reasons: ["Invalid"] });
+
+  quarantine.add("test", [reject("a"), reject("b")]);
+  quarantine.add("test", [reject("a")]);
+  quarantine.add("test", [reject("c")]);
+
+  assert.deepStrictEqual(
+    quarantine.list().entries.map((entry) => entry.id),
+    ["c", "a"]
+  );
+  assert.strictEqual(quarantine.get("test", "a").occurrences, 2);
+});